@@ -0,0 +1,170 @@
+/* eslint-disable no-restricted-globals */
+
+// Caches the app shell so the installed app opens without a network, and
+// replays the offline location queue (see src/offlineQueue.js) through
+// Background Sync once every page has been closed.
+
+const CACHE_NAME = "node-tracker-shell-v1";
+const APP_SHELL = ["./", "./index.html", "./manifest.json", "./logo192.png"];
+
+// Keep in sync with src/offlineQueue.js and src/serviceWorker.js
+const DB_NAME = "node-tracker";
+const DB_VERSION = 2;
+const STORE_NAME = "pendingUpdates";
+const SETTINGS_STORE = "settings";
+const DELIVERY_KEY = "delivery";
+const QUEUE_SYNC_TAG = "flush-location-updates";
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(
+		caches
+			.open(CACHE_NAME)
+			.then((cache) => cache.addAll(APP_SHELL))
+			.then(() => self.skipWaiting())
+	);
+});
+
+self.addEventListener("activate", (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((keys) =>
+				Promise.all(
+					keys
+						.filter((key) => key !== CACHE_NAME)
+						.map((key) => caches.delete(key))
+				)
+			)
+			.then(() => self.clients.claim())
+	);
+});
+
+// Pages are network first so deploys show up, hashed build assets cache first.
+// API and tile requests are left alone.
+self.addEventListener("fetch", (event) => {
+	const { request } = event;
+	if (request.method !== "GET") return;
+	const url = new URL(request.url);
+	if (url.origin !== self.location.origin) return;
+
+	if (request.mode === "navigate") {
+		event.respondWith(
+			fetch(request).catch(() =>
+				caches.match(new URL("./index.html", self.registration.scope))
+			)
+		);
+		return;
+	}
+
+	if (url.pathname.includes("/static/")) {
+		event.respondWith(
+			caches.match(request).then(
+				(cached) =>
+					cached ||
+					fetch(request).then((response) => {
+						if (response.ok) {
+							const copy = response.clone();
+							caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+						}
+						return response;
+					})
+			)
+		);
+	}
+});
+
+const openDatabase = () =>
+	new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = (event) => {
+			const db = request.result;
+			if (event.oldVersion < 1) {
+				const store = db.createObjectStore(STORE_NAME, {
+					keyPath: "id",
+					autoIncrement: true,
+				});
+				store.createIndex("timestamp", "timestamp");
+			}
+			if (event.oldVersion < 2) {
+				db.createObjectStore(SETTINGS_STORE);
+			}
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+const runRequest = (db, storeName, mode, createRequest) =>
+	new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeName, mode);
+		const request = createRequest(transaction.objectStore(storeName));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+	});
+
+const notifyClients = async (message) => {
+	const clients = await self.clients.matchAll({ type: "window" });
+	clients.forEach((client) => client.postMessage(message));
+};
+
+// Same rules as isRetryableError in src/offlineQueue.js
+const isRetryableStatus = (status) =>
+	status === 401 || status === 408 || status === 429 || status >= 500;
+
+const flushQueue = async () => {
+	// An open page replays the queue itself, with token refresh. Hidden pages
+	// are flushing too, so replaying here as well would send updates twice.
+	const clients = await self.clients.matchAll({ type: "window" });
+	if (clients.length > 0) {
+		clients.forEach((client) => client.postMessage({ type: "flush-queue" }));
+		return;
+	}
+
+	const db = await openDatabase();
+	const config = await runRequest(db, SETTINGS_STORE, "readonly", (store) =>
+		store.get(DELIVERY_KEY)
+	);
+	// Signed out: the page sends the queue after the next sign-in
+	if (!config) return;
+
+	// Only the signed-in user's updates go out with their token
+	const entries = (
+		await runRequest(db, STORE_NAME, "readonly", (store) =>
+			store.index("timestamp").getAll()
+		)
+	).filter(
+		(entry) => entry.owner === undefined || entry.owner === config.owner
+	);
+	try {
+		for (const entry of entries) {
+			// A network failure rejects here and the browser retries the sync later
+			const response = await fetch(
+				`${config.apiUrl}/trackers/${entry.trackerId}/updates`,
+				{
+					method: "POST",
+					headers: {
+						"Content-Type": "application/json",
+						Authorization: `Bearer ${config.accessToken}`,
+					},
+					body: JSON.stringify(entry.update),
+				}
+			);
+			// An expired token is left for the page to refresh
+			if (response.status === 401) return;
+			if (!response.ok && isRetryableStatus(response.status)) {
+				throw new Error(`Queue replay failed with status ${response.status}`);
+			}
+			// Delivered, or rejected for good by the server
+			await runRequest(db, STORE_NAME, "readwrite", (store) =>
+				store.delete(entry.id)
+			);
+		}
+	} finally {
+		await notifyClients({ type: "queue-flushed" });
+	}
+};
+
+self.addEventListener("sync", (event) => {
+	if (event.tag === QUEUE_SYNC_TAG) {
+		event.waitUntil(flushQueue());
+	}
+});
@@ -1,11 +1,37 @@
 import React from "react";
 import MapView from "./components/MapView";
+import LoginView from "./components/LoginView";
+import PublicTrackerView from "./components/PublicTrackerView";
+import useAuth from "./hooks/useAuth";
+import useRoute from "./hooks/useRoute";
 import "./App.css";
 
 function App() {
+	const auth = useAuth();
+	const { route, navigate } = useRoute();
+
+	// The public view needs no sign-in and never shows admin controls
+	if (route.view === "embed") {
+		return (
+			<div className="App">
+				<PublicTrackerView trackerId={route.trackerId} />
+			</div>
+		);
+	}
+
+	// MapView unmounts on logout, which closes the socket and drops all state
 	return (
 		<div className="App">
-			<MapView />
+			{auth.authenticated ? (
+				<MapView
+					user={auth.user}
+					onLogout={auth.logout}
+					route={route}
+					navigate={navigate}
+				/>
+			) : (
+				<LoginView onLogin={auth.login} />
+			)}
 		</div>
 	);
 }
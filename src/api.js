@@ -1,14 +1,238 @@
 import axios from "axios";
+import { createFixFilter } from "./utils/gpsFilter";
+import { authSession } from "./auth";
+import { API_ERROR_TYPES, toApiError } from "./apiErrors";
+import { createLogger } from "./logger";
+
+const log = createLogger("api");
+const geoLog = createLogger("geo");
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || "http://localhost:3000";
+// Request timeout in ms; history requests get twice as long
+const API_TIMEOUT = Number(process.env.REACT_APP_API_TIMEOUT) || 15000;
+// How many times idempotent requests are retried on retryable failures
+const API_RETRIES =
+	process.env.REACT_APP_API_RETRIES !== undefined
+		? Number(process.env.REACT_APP_API_RETRIES)
+		: 3;
+const RETRY_BASE_DELAY = 500;
+const MAX_RETRY_DELAY = 10000;
+// Methods that are safe to send again without side effects
+const IDEMPOTENT_METHODS = new Set(["get", "head", "options", "put", "delete"]);
 
 const api = axios.create({
 	baseURL: API_BASE_URL,
+	timeout: API_TIMEOUT,
+	headers: {
+		"Content-Type": "application/json",
+	},
+});
+
+// Auth endpoints talk to the server directly so a failing refresh can't
+// trigger another refresh through the interceptors
+const authClient = axios.create({
+	baseURL: API_BASE_URL,
+	timeout: API_TIMEOUT,
 	headers: {
 		"Content-Type": "application/json",
 	},
 });
 
+// Time every request for the diagnostics log
+const requestLabel = (config = {}) =>
+	`${(config.method || "get").toUpperCase()} ${config.url}`;
+
+const elapsedSince = (config = {}) =>
+	config.startedAt ? Math.round(performance.now() - config.startedAt) : null;
+
+[api, authClient].forEach((client) => {
+	client.interceptors.request.use((config) => {
+		config.startedAt = performance.now();
+		return config;
+	});
+	client.interceptors.response.use(
+		(response) => {
+			log.debug(requestLabel(response.config), {
+				status: response.status,
+				duration: elapsedSince(response.config),
+			});
+			return response;
+		},
+		(error) => {
+			log.warn(`${requestLabel(error.config)} failed`, {
+				status: error.response?.status ?? null,
+				code: error.code,
+				duration: elapsedSince(error.config),
+			});
+			return Promise.reject(error);
+		}
+	);
+});
+
+// Every rejected request surfaces as an ApiError (see apiErrors.js)
+api.interceptors.response.use(
+	(response) => response,
+	(error) => Promise.reject(toApiError(error))
+);
+authClient.interceptors.response.use(
+	(response) => response,
+	(error) => Promise.reject(toApiError(error))
+);
+
+// Attach the bearer token to every request
+api.interceptors.request.use((config) => {
+	const token = authSession.getAccessToken();
+	if (token) {
+		config.headers.Authorization = `Bearer ${token}`;
+	}
+	return config;
+});
+
+// Concurrent 401s share one refresh request
+let refreshPromise = null;
+
+// Exchange the refresh token for a new access token; the session is cleared
+// (signing the user out) when that is no longer possible
+export const refreshAccessToken = () => {
+	if (!refreshPromise) {
+		refreshPromise = (async () => {
+			const refreshToken = authSession.getRefreshToken();
+			if (!refreshToken) {
+				authSession.clear();
+				throw new Error("Session expired");
+			}
+
+			try {
+				const response = await authClient.post("/auth/refresh", {
+					refreshToken,
+				});
+				authSession.updateTokens(response.data);
+				return response.data.accessToken;
+			} catch (err) {
+				// Keep the session through network trouble; only a rejected
+				// refresh token means the user has to sign in again
+				if (!err.retryable) authSession.clear();
+				throw err;
+			}
+		})().finally(() => {
+			refreshPromise = null;
+		});
+	}
+	return refreshPromise;
+};
+
+// Refresh the token once on 401 and replay the original request
+api.interceptors.response.use(
+	(response) => response,
+	async (error) => {
+		const config = error.cause?.config;
+		if (
+			error.type !== API_ERROR_TYPES.unauthorized ||
+			!config ||
+			config._refreshed ||
+			!authSession.getRefreshToken()
+		) {
+			if (error.type === API_ERROR_TYPES.unauthorized) authSession.clear();
+			throw error;
+		}
+
+		config._refreshed = true;
+		const token = await refreshAccessToken();
+		config.headers.Authorization = `Bearer ${token}`;
+		return api(config);
+	}
+);
+
+// Exponential backoff with jitter, or the server's Retry-After when given
+const retryDelay = (error, attempt) => {
+	const retryAfter = Number(error.cause?.response?.headers?.["retry-after"]);
+	if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+
+	const delay = RETRY_BASE_DELAY * 2 ** attempt;
+	return Math.min(delay + Math.random() * delay * 0.2, MAX_RETRY_DELAY);
+};
+
+// Retry idempotent requests on network, timeout, rate limit and server errors.
+// A request can opt out with { retry: false } in its config.
+api.interceptors.response.use(
+	(response) => response,
+	async (error) => {
+		const config = error.cause?.config;
+		if (
+			!error.retryable ||
+			!config ||
+			config.retry === false ||
+			!IDEMPOTENT_METHODS.has(config.method)
+		) {
+			throw error;
+		}
+
+		const attempt = config._retryAttempt || 0;
+		if (attempt >= API_RETRIES) throw error;
+
+		config._retryAttempt = attempt + 1;
+		await new Promise((resolve) =>
+			setTimeout(resolve, retryDelay(error, attempt))
+		);
+		return api(config);
+	}
+);
+
+export const authAPI = {
+	// Sign in and store the session
+	login: async ({ username, password }) => {
+		const response = await authClient.post("/auth/login", {
+			username,
+			password,
+		});
+		authSession.set(response.data);
+		return response.data.user;
+	},
+
+	// Revoke the refresh token on the server and forget the session locally
+	logout: async () => {
+		const refreshToken = authSession.getRefreshToken();
+		authSession.clear();
+		if (!refreshToken) return;
+		try {
+			await authClient.post("/auth/logout", { refreshToken });
+		} catch (err) {
+			log.error("Error revoking session:", err);
+		}
+	},
+};
+
+// Build the payload sent to trackerAPI.updateTracker for a location
+export const buildLocationUpdate = (location, source = "manual") => {
+	const meta = {
+		source,
+		timestamp: new Date(
+			location.timestamp || location.time || Date.now()
+		).toISOString(),
+	};
+	if (typeof location.accuracy === "number") meta.accuracy = location.accuracy;
+	if (typeof location.speed === "number") meta.speed = location.speed;
+	if (typeof location.smoothedAccuracy === "number") {
+		meta.smoothedAccuracy = location.smoothedAccuracy;
+	}
+	// Smoothed fixes keep the original reading for reference
+	if (location.raw) meta.raw = location.raw;
+	// First fix after the recording went quiet, e.g. while backgrounded
+	if (location.gap) {
+		meta.gap = {
+			from: new Date(location.gap.from).toISOString(),
+			to: new Date(location.gap.to).toISOString(),
+			background: location.gap.background,
+		};
+	}
+
+	return {
+		location: { lat: location.lat, lng: location.lng },
+		status: location.status || "active",
+		meta,
+	};
+};
+
 // Tracker API functions
 export const trackerAPI = {
 	// Create a new tracker
@@ -29,6 +253,12 @@ export const trackerAPI = {
 		return response.data;
 	},
 
+	// Update tracker details (name, visibility, description, appearance, tags)
+	editTracker: async (trackerId, trackerData) => {
+		const response = await api.patch(`/trackers/${trackerId}`, trackerData);
+		return response.data;
+	},
+
 	// Update tracker location
 	updateTracker: async (trackerId, locationData) => {
 		const response = await api.post(
@@ -41,6 +271,7 @@ export const trackerAPI = {
 	// Get tracker history
 	getTrackerHistory: async (trackerId, params = {}) => {
 		const response = await api.get(`/trackers/${trackerId}/history`, {
+			timeout: API_TIMEOUT * 2,
 			params,
 		});
 		return response.data;
@@ -53,7 +284,34 @@ export const trackerAPI = {
 	},
 };
 
+// Read-only endpoints for the public view. They go without the bearer token
+// so the server answers as it would to anyone, and it only returns trackers
+// marked public; private trackers never reach the browser.
+export const publicAPI = {
+	// Get every public tracker
+	getTrackers: async () => {
+		const response = await authClient.get("/public/trackers");
+		return response.data;
+	},
+
+	// Get a public tracker, 404 when it doesn't exist or isn't public
+	getTracker: async (trackerId) => {
+		const response = await authClient.get(`/public/trackers/${trackerId}`);
+		return response.data;
+	},
+};
+
 // Geolocation utility functions
+// Fields of a GeolocationPosition worth keeping in the diagnostics log
+const summarizeFix = (position) => ({
+	lat: position.coords.latitude,
+	lng: position.coords.longitude,
+	accuracy: position.coords.accuracy,
+	heading: position.coords.heading,
+	speed: position.coords.speed,
+	timestamp: position.timestamp,
+});
+
 export const geolocationAPI = {
 	// Check if geolocation is supported and permissions are available
 	checkGeolocationSupport: () => {
@@ -89,7 +347,7 @@ export const geolocationAPI = {
 				return;
 			}
 
-			console.log("Requesting location permission...");
+			geoLog.info("Requesting location permission...");
 
 			navigator.geolocation.getCurrentPosition(
 				(position) => {
@@ -107,23 +365,15 @@ export const geolocationAPI = {
 						rawPosition: position,
 					};
 
-					console.log("Permission granted, position obtained:", {
-						lat: position.coords.latitude,
-						lng: position.coords.longitude,
-						accuracy: position.coords.accuracy,
-						altitude: position.coords.altitude,
-						altitudeAccuracy: position.coords.altitudeAccuracy,
-						heading: position.coords.heading,
-						speed: position.coords.speed,
-						timestamp: position.timestamp,
-						// Debug info
-						allCoords: position.coords,
-					});
+					geoLog.debug(
+						"Permission granted, position obtained",
+						summarizeFix(position)
+					);
 
 					resolve(locationData);
 				},
 				(error) => {
-					console.error("Geolocation permission error:", error);
+					geoLog.error("Geolocation permission error:", error);
 					let errorMessage = "Location access denied";
 					switch (error.code) {
 						case error.PERMISSION_DENIED:
@@ -168,15 +418,7 @@ export const geolocationAPI = {
 
 			navigator.geolocation.getCurrentPosition(
 				(position) => {
-					console.log("Position obtained:", {
-						lat: position.coords.latitude,
-						lng: position.coords.longitude,
-						accuracy: position.coords.accuracy,
-						altitude: position.coords.altitude,
-						altitudeAccuracy: position.coords.altitudeAccuracy,
-						heading: position.coords.heading,
-						speed: position.coords.speed,
-					});
+					geoLog.debug("Position obtained", summarizeFix(position));
 					resolve({
 						lat: position.coords.latitude,
 						lng: position.coords.longitude,
@@ -189,7 +431,7 @@ export const geolocationAPI = {
 					});
 				},
 				(error) => {
-					console.error("Geolocation error:", error);
+					geoLog.error("Geolocation error:", error);
 					let errorMessage = "Location access denied";
 					switch (error.code) {
 						case error.PERMISSION_DENIED:
@@ -219,8 +461,12 @@ export const geolocationAPI = {
 		});
 	},
 
-	// Watch position changes
-	watchPosition: (callback, errorCallback) => {
+	// Filtering stage for raw fixes (see utils/gpsFilter)
+	createFixFilter,
+
+	// Watch position changes; an optional fix filter drops or smooths fixes
+	// before the callback sees them
+	watchPosition: (callback, errorCallback, filter) => {
 		if (!navigator.geolocation) {
 			errorCallback(new Error("Geolocation is not supported by this browser"));
 			return null;
@@ -228,13 +474,8 @@ export const geolocationAPI = {
 
 		return navigator.geolocation.watchPosition(
 			(position) => {
-				console.log("Position update:", {
-					lat: position.coords.latitude,
-					lng: position.coords.longitude,
-					accuracy: position.coords.accuracy,
-					timestamp: position.timestamp,
-				});
-				callback({
+				geoLog.debug("Position update", summarizeFix(position));
+				const fix = {
 					lat: position.coords.latitude,
 					lng: position.coords.longitude,
 					accuracy: position.coords.accuracy,
@@ -243,10 +484,14 @@ export const geolocationAPI = {
 					heading: position.coords.heading,
 					speed: position.coords.speed,
 					timestamp: position.timestamp,
-				});
+				};
+				const filtered = filter ? filter.process(fix) : fix;
+				if (filtered) {
+					callback(filtered);
+				}
 			},
 			(error) => {
-				console.error("Watch position error:", error);
+				geoLog.error("Watch position error:", error);
 				let errorMessage = "Location tracking failed";
 				switch (error.code) {
 					case error.PERMISSION_DENIED:
@@ -388,23 +633,27 @@ export const geolocationAPI = {
 	getMultipleReadings: (count = 3, interval = 2000) => {
 		return new Promise((resolve, reject) => {
 			const readings = [];
+			// Readings that jump implausibly far are left out of the average
+			const filter = createFixFilter({ mode: "outliers" });
 			let currentCount = 0;
 
 			const getReading = () => {
 				navigator.geolocation.getCurrentPosition(
 					(position) => {
-						readings.push({
+						const reading = filter.process({
 							lat: position.coords.latitude,
 							lng: position.coords.longitude,
 							accuracy: position.coords.accuracy,
 							timestamp: position.timestamp,
 						});
+						if (reading) {
+							readings.push(reading);
+						}
 
 						currentCount++;
-						console.log(
-							`Reading ${currentCount}/${count}: Accuracy ${Math.round(
-								position.coords.accuracy
-							)}m`
+						geoLog.debug(
+							`Reading ${currentCount}/${count}`,
+							summarizeFix(position)
 						);
 
 						if (currentCount >= count) {
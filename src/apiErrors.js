@@ -0,0 +1,155 @@
+// Typed errors for failed API requests, built from axios errors
+
+export const API_ERROR_TYPES = {
+	offline: "offline",
+	timeout: "timeout",
+	unauthorized: "unauthorized",
+	forbidden: "forbidden",
+	notFound: "notFound",
+	validation: "validation",
+	conflict: "conflict",
+	rateLimited: "rateLimited",
+	server: "server",
+	unknown: "unknown",
+};
+
+// Shown when the server doesn't send a message of its own
+const DEFAULT_MESSAGES = {
+	offline: "Can't reach the server. Check your connection.",
+	timeout: "The server took too long to respond.",
+	unauthorized: "Your session has expired. Please sign in again.",
+	forbidden: "You don't have permission to do that.",
+	notFound: "The requested item was not found.",
+	validation: "The server rejected the request.",
+	conflict: "The item was changed or already exists.",
+	rateLimited: "Too many requests. Please wait a moment.",
+	server: "The server ran into a problem.",
+	unknown: "The request failed.",
+};
+
+// Failures that may succeed when the same request is sent again
+const RETRYABLE_TYPES = new Set([
+	"offline",
+	"timeout",
+	"rateLimited",
+	"server",
+]);
+
+const typeForStatus = (status) => {
+	if (status === 401) return API_ERROR_TYPES.unauthorized;
+	if (status === 403) return API_ERROR_TYPES.forbidden;
+	if (status === 404) return API_ERROR_TYPES.notFound;
+	if (status === 400 || status === 422) return API_ERROR_TYPES.validation;
+	if (status === 409 || status === 412) return API_ERROR_TYPES.conflict;
+	if (status === 408) return API_ERROR_TYPES.timeout;
+	if (status === 429) return API_ERROR_TYPES.rateLimited;
+	if (status >= 500) return API_ERROR_TYPES.server;
+	return API_ERROR_TYPES.unknown;
+};
+
+// Field errors arrive as [{ field, message }], { field: message } or strings
+const parseDetails = (errors) => {
+	if (!errors) return [];
+	if (Array.isArray(errors)) {
+		return errors.map((item) =>
+			typeof item === "string"
+				? { field: null, message: item }
+				: {
+						field: item.field || item.path || item.param || null,
+						message: item.message || item.msg,
+				  }
+		);
+	}
+	if (typeof errors === "object") {
+		return Object.entries(errors).map(([field, message]) => ({
+			field,
+			message: Array.isArray(message) ? message.join(", ") : String(message),
+		}));
+	}
+	return [];
+};
+
+// Pull a human readable message out of the response body
+const serverMessage = (data, details) => {
+	if (typeof data === "string" && data.trim() && data.length < 300) {
+		return data.trim();
+	}
+	const message = data?.message || data?.error?.message || data?.error;
+	if (typeof message === "string" && message.trim()) return message.trim();
+	if (details.length > 0) {
+		return details
+			.map((detail) =>
+				detail.field ? `${detail.field}: ${detail.message}` : detail.message
+			)
+			.join("; ");
+	}
+	return null;
+};
+
+export class ApiError extends Error {
+	constructor({
+		type,
+		message,
+		status = null,
+		details = [],
+		code = null,
+		request = {},
+		cause,
+	}) {
+		super(message);
+		this.name = "ApiError";
+		this.type = type;
+		this.status = status;
+		this.details = details;
+		this.code = code;
+		// Method, URL and server request id, for matching user reports to logs
+		this.request = request;
+		this.cause = cause;
+	}
+
+	get retryable() {
+		return RETRYABLE_TYPES.has(this.type);
+	}
+}
+
+// Convert an axios error into an ApiError; other errors pass through
+export const toApiError = (error) => {
+	if (error instanceof ApiError || !error?.isAxiosError) return error;
+
+	const { config = {}, response } = error;
+	const request = {
+		method: config.method?.toUpperCase() || null,
+		url: config.url || null,
+		requestId: response?.headers?.["x-request-id"] || null,
+	};
+
+	if (!response) {
+		const timedOut =
+			error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+		const type = timedOut ? API_ERROR_TYPES.timeout : API_ERROR_TYPES.offline;
+		return new ApiError({
+			type,
+			message: DEFAULT_MESSAGES[type],
+			request,
+			cause: error,
+		});
+	}
+
+	const type = typeForStatus(response.status);
+	const details = parseDetails(
+		response.data?.errors || response.data?.error?.details
+	);
+	return new ApiError({
+		type,
+		message: serverMessage(response.data, details) || DEFAULT_MESSAGES[type],
+		status: response.status,
+		details,
+		code: response.data?.code || null,
+		request,
+		cause: error,
+	});
+};
+
+// Prefix a UI fallback such as "Failed to load trackers" with the reason
+export const describeError = (fallback, error) =>
+	error instanceof ApiError ? `${fallback}: ${error.message}` : fallback;
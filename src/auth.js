@@ -0,0 +1,70 @@
+import { createLogger } from "./logger";
+
+// Session storage for the access and refresh tokens of the signed-in user
+
+const log = createLogger("auth");
+
+const STORAGE_KEY = "nodeTracker.session";
+
+const listeners = new Set();
+
+const readSession = () => {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY));
+	} catch (err) {
+		log.error("Error reading session:", err);
+		return null;
+	}
+};
+
+let session = readSession();
+
+const notify = () => listeners.forEach((listener) => listener(session));
+
+export const authSession = {
+	get: () => session,
+
+	getAccessToken: () => session?.accessToken || null,
+
+	getRefreshToken: () => session?.refreshToken || null,
+
+	// Identifies the signed-in user, e.g. to keep queued updates apart
+	getUserId: () => session?.user?.id || session?.user?.username || null,
+
+	// session: { accessToken, refreshToken, user }
+	set: (nextSession) => {
+		session = nextSession;
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+		notify();
+	},
+
+	// Keep the user but swap in freshly issued tokens
+	updateTokens: ({ accessToken, refreshToken }) => {
+		if (!session) return;
+		authSession.set({
+			...session,
+			accessToken,
+			refreshToken: refreshToken || session.refreshToken,
+		});
+	},
+
+	clear: () => {
+		if (!session) return;
+		session = null;
+		localStorage.removeItem(STORAGE_KEY);
+		notify();
+	},
+
+	// Returns an unsubscribe function
+	subscribe: (listener) => {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	},
+};
+
+// Sessions can be changed from another tab, e.g. a logout there
+window.addEventListener("storage", (event) => {
+	if (event.key !== STORAGE_KEY) return;
+	session = readSession();
+	notify();
+});
@@ -0,0 +1,164 @@
+import React, { useState } from "react";
+import { FILTER_MODES } from "../utils/gpsFilter";
+
+const NUMBER_RULES = [
+	{ key: "minDistance", label: "Min distance (m)" },
+	{ key: "minInterval", label: "Min interval (s)" },
+	{ key: "maxInterval", label: "Max interval (s)" },
+	{ key: "headingChange", label: "Heading change (°)" },
+	{ key: "maxAccuracy", label: "Skip accuracy worse than (m)" },
+	{ key: "lowBatteryLevel", label: "Low battery below (%)" },
+];
+
+const SKIP_REASONS = {
+	accuracy: "inaccurate fix",
+	interval: "too soon",
+	stationary: "not moving",
+};
+
+const sectionStyle = {
+	padding: "10px",
+	margin: "10px 0",
+	backgroundColor: "white",
+	border: "1px solid #dee2e6",
+	borderRadius: "4px",
+	fontSize: "0.85rem",
+};
+
+// Sending rules for auto-tracking and the current battery state
+const AutoTrackingSettings = ({ sendRules, fixFilter, isTracking }) => {
+	const [expanded, setExpanded] = useState(false);
+	const { rules, effectiveRules, battery, lowBattery, stats } = sendRules;
+
+	const handleRuleChange = (key) => (e) => {
+		const value = Number(e.target.value);
+		if (e.target.value !== "" && value >= 0) {
+			sendRules.setRule(key, value);
+		}
+	};
+
+	return (
+		<div style={sectionStyle}>
+			<div
+				style={{
+					display: "flex",
+					justifyContent: "space-between",
+					alignItems: "center",
+				}}
+			>
+				<strong>🛰️ Auto-tracking</strong>
+				<button
+					onClick={() => setExpanded((prev) => !prev)}
+					style={{
+						background: "none",
+						border: "none",
+						color: "#007bff",
+						cursor: "pointer",
+						fontSize: "0.8rem",
+					}}
+				>
+					{expanded ? "Hide settings" : "Settings"}
+				</button>
+			</div>
+
+			<div style={{ marginTop: "5px", color: "#666" }}>
+				{battery
+					? `Battery ${Math.round(battery.level * 100)}%${
+							battery.charging ? " (charging)" : ""
+					  }`
+					: "Battery status unavailable"}
+				{lowBattery && (
+					<span style={{ color: "#856404" }}> · battery saver on</span>
+				)}
+			</div>
+			{isTracking && (
+				<div style={{ color: "#666" }}>
+					Sent {stats.sent}, skipped {stats.skipped}
+					{SKIP_REASONS[stats.lastReason] &&
+						` (last: ${SKIP_REASONS[stats.lastReason]})`}
+					{fixFilter.rejectedCount > 0 &&
+						`, ${fixFilter.rejectedCount} outliers rejected`}
+				</div>
+			)}
+
+			{expanded && (
+				<div style={{ marginTop: "8px" }}>
+					<label
+						style={{
+							display: "flex",
+							justifyContent: "space-between",
+							alignItems: "center",
+						}}
+					>
+						GPS filter
+						<select
+							value={fixFilter.mode}
+							onChange={(e) => fixFilter.setMode(e.target.value)}
+						>
+							{FILTER_MODES.map((mode) => (
+								<option key={mode.value} value={mode.value}>
+									{mode.label}
+								</option>
+							))}
+						</select>
+					</label>
+					{NUMBER_RULES.map(({ key, label }) => (
+						<label
+							key={key}
+							style={{
+								display: "flex",
+								justifyContent: "space-between",
+								alignItems: "center",
+								marginTop: "4px",
+							}}
+						>
+							<span>
+								{label}
+								{lowBattery && effectiveRules[key] !== rules[key] && (
+									<span style={{ color: "#856404" }}>
+										{" "}
+										→ {effectiveRules[key]}
+									</span>
+								)}
+							</span>
+							<input
+								type="number"
+								min="0"
+								value={rules[key]}
+								onChange={handleRuleChange(key)}
+								style={{ width: "70px" }}
+							/>
+						</label>
+					))}
+					<label style={{ display: "block", marginTop: "6px" }}>
+						<input
+							type="checkbox"
+							checked={rules.batterySaver}
+							onChange={(e) =>
+								sendRules.setRule("batterySaver", e.target.checked)
+							}
+						/>{" "}
+						Send less often when the battery is low
+					</label>
+					<button
+						onClick={sendRules.resetRules}
+						style={{
+							marginTop: "6px",
+							padding: "4px 8px",
+							backgroundColor: "#6c757d",
+							color: "white",
+							border: "none",
+							borderRadius: "3px",
+							cursor: "pointer",
+							fontSize: "0.8rem",
+						}}
+					>
+						Reset to defaults
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default AutoTrackingSettings;
@@ -0,0 +1,26 @@
+import { useEffect } from "react";
+import { useMap } from "react-leaflet";
+import { CachedTileLayer } from "../utils/tileCache";
+
+// The chosen base map, drawing pre-cached tiles when offline
+const BaseTileLayer = ({ layer }) => {
+	const map = useMap();
+
+	useEffect(() => {
+		const tileLayer = new CachedTileLayer(layer.url, {
+			attribution: layer.attribution,
+			subdomains: layer.subdomains,
+			minZoom: layer.minZoom,
+			maxZoom: layer.maxZoom,
+		});
+		tileLayer.addTo(map);
+		tileLayer.bringToBack();
+		return () => {
+			tileLayer.remove();
+		};
+	}, [map, layer]);
+
+	return null;
+};
+
+export default BaseTileLayer;
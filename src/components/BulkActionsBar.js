@@ -0,0 +1,125 @@
+import React from "react";
+import ExportMenu from "./ExportMenu";
+
+const DEFAULT_STATUSES = ["active", "inactive"];
+
+const buttonStyle = {
+	padding: "4px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+const linkButtonStyle = {
+	background: "none",
+	border: "none",
+	padding: 0,
+	color: "#007bff",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+};
+
+// Selection tools and the actions that apply to every checked tracker
+const BulkActionsBar = ({
+	count,
+	statuses,
+	busy,
+	lassoActive,
+	onToggleLasso,
+	onSelectAll,
+	onClear,
+	onFit,
+	onExport,
+	onSetStatus,
+	onDelete,
+}) => {
+	const statusOptions = [...new Set([...DEFAULT_STATUSES, ...statuses])];
+
+	return (
+		<div
+			style={{
+				margin: "8px 0",
+				padding: count > 0 ? "8px" : 0,
+				backgroundColor: count > 0 ? "#fff8e1" : "transparent",
+				border: count > 0 ? "1px solid #ffe082" : "none",
+				borderRadius: "4px",
+				fontSize: "0.8rem",
+			}}
+		>
+			<div
+				style={{
+					display: "flex",
+					gap: "10px",
+					alignItems: "center",
+					flexWrap: "wrap",
+				}}
+			>
+				{count > 0 && <strong>{count} selected</strong>}
+				<button onClick={onSelectAll} style={linkButtonStyle}>
+					Select all shown
+				</button>
+				{count > 0 && (
+					<button onClick={onClear} style={linkButtonStyle}>
+						Clear
+					</button>
+				)}
+				<button
+					onClick={onToggleLasso}
+					title="Drag on the map to select the trackers inside the shape"
+					style={{
+						...linkButtonStyle,
+						fontWeight: lassoActive ? "bold" : "normal",
+					}}
+				>
+					{lassoActive ? "✓ Lasso on (click to finish)" : "Lasso on map"}
+				</button>
+			</div>
+
+			{count > 0 && (
+				<div
+					style={{
+						display: "flex",
+						gap: "5px",
+						alignItems: "center",
+						flexWrap: "wrap",
+						marginTop: "6px",
+					}}
+				>
+					<button
+						onClick={onFit}
+						style={{ ...buttonStyle, backgroundColor: "#17a2b8" }}
+					>
+						Fit map
+					</button>
+					<ExportMenu label="Export..." onExport={onExport} />
+					<select
+						value=""
+						disabled={busy}
+						onChange={(e) => {
+							if (e.target.value) onSetStatus(e.target.value);
+						}}
+						style={{ fontSize: "0.8rem" }}
+					>
+						<option value="">Set status...</option>
+						{statusOptions.map((status) => (
+							<option key={status} value={status}>
+								{status}
+							</option>
+						))}
+					</select>
+					<button
+						onClick={onDelete}
+						disabled={busy}
+						style={{ ...buttonStyle, backgroundColor: "#dc3545" }}
+					>
+						Delete
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default BulkActionsBar;
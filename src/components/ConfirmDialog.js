@@ -0,0 +1,79 @@
+import React, { useEffect } from "react";
+
+const buttonStyle = {
+	padding: "8px 16px",
+	color: "white",
+	border: "none",
+	borderRadius: "4px",
+	cursor: "pointer",
+};
+
+// Modal asking the user to confirm a destructive action
+const ConfirmDialog = ({
+	title,
+	message,
+	confirmLabel = "Confirm",
+	onConfirm,
+	onCancel,
+}) => {
+	useEffect(() => {
+		const handleKeyDown = (e) => {
+			if (e.key === "Escape") onCancel();
+		};
+		window.addEventListener("keydown", handleKeyDown);
+		return () => window.removeEventListener("keydown", handleKeyDown);
+	}, [onCancel]);
+
+	return (
+		<div
+			onClick={onCancel}
+			style={{
+				position: "fixed",
+				inset: 0,
+				zIndex: 2000,
+				backgroundColor: "rgba(0,0,0,0.4)",
+				display: "flex",
+				alignItems: "center",
+				justifyContent: "center",
+			}}
+		>
+			<div
+				role="alertdialog"
+				onClick={(e) => e.stopPropagation()}
+				style={{
+					width: "360px",
+					maxWidth: "90vw",
+					padding: "20px",
+					backgroundColor: "white",
+					borderRadius: "6px",
+					boxShadow: "0 4px 12px rgba(0,0,0,0.3)",
+				}}
+			>
+				<h3 style={{ marginTop: 0 }}>{title}</h3>
+				<div style={{ fontSize: "0.9rem", color: "#495057" }}>{message}</div>
+				<div style={{ marginTop: "15px", textAlign: "right" }}>
+					{/* Cancel has focus so Enter never deletes by accident */}
+					<button
+						onClick={onCancel}
+						autoFocus
+						style={{
+							...buttonStyle,
+							marginRight: "10px",
+							backgroundColor: "#6c757d",
+						}}
+					>
+						Cancel
+					</button>
+					<button
+						onClick={onConfirm}
+						style={{ ...buttonStyle, backgroundColor: "#dc3545" }}
+					>
+						{confirmLabel}
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default ConfirmDialog;
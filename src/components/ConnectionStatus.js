@@ -0,0 +1,45 @@
+import React from "react";
+
+const STATUS_STYLES = {
+	connecting: { label: "Connecting...", color: "#ffc107" },
+	connected: { label: "Live", color: "#28a745" },
+	reconnecting: { label: "Reconnecting...", color: "#fd7e14" },
+	disconnected: { label: "Offline", color: "#dc3545" },
+};
+
+// Badge showing the state of the real-time socket connection
+const ConnectionStatus = ({ status }) => {
+	const { label, color } = STATUS_STYLES[status] || STATUS_STYLES.disconnected;
+
+	return (
+		<span
+			title={`Real-time connection: ${label}`}
+			style={{
+				display: "inline-flex",
+				alignItems: "center",
+				gap: "5px",
+				marginLeft: "10px",
+				padding: "2px 8px",
+				fontSize: "0.75rem",
+				fontWeight: "normal",
+				verticalAlign: "middle",
+				border: `1px solid ${color}`,
+				borderRadius: "10px",
+				color: "#333",
+				backgroundColor: "white",
+			}}
+		>
+			<span
+				style={{
+					width: "8px",
+					height: "8px",
+					borderRadius: "50%",
+					backgroundColor: color,
+				}}
+			/>
+			{label}
+		</span>
+	);
+};
+
+export default ConnectionStatus;
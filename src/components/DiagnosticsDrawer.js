@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import { logBuffer, DEBUG } from "../logger";
+import { downloadFile } from "../utils/exportTrack";
+import useLogEntries from "../hooks/useLogEntries";
+
+const FILTERS = [
+	{ value: "all", label: "All" },
+	{ value: "geo", label: "Geolocation" },
+	{ value: "api", label: "API" },
+	{ value: "socket", label: "Socket" },
+	{ value: "errors", label: "Warnings & errors" },
+];
+
+const LEVEL_COLORS = {
+	debug: "#6c757d",
+	info: "#007bff",
+	warn: "#856404",
+	error: "#dc3545",
+};
+
+const buttonStyle = {
+	padding: "4px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+const matchesFilter = (entry, filter) => {
+	if (filter === "all") return true;
+	if (filter === "errors") {
+		return entry.level === "warn" || entry.level === "error";
+	}
+	return entry.category === filter;
+};
+
+// Side drawer with recent fixes, API calls and socket events for bug reports
+const DiagnosticsDrawer = ({ open, onClose }) => {
+	const [filter, setFilter] = useState("all");
+	const entries = useLogEntries(open);
+
+	if (!open) return null;
+
+	const visibleEntries = entries
+		.filter((entry) => matchesFilter(entry, filter))
+		.reverse();
+
+	const exportLog = () => {
+		const date = new Date().toISOString().slice(0, 10);
+		downloadFile(
+			logBuffer.toJSON(),
+			"application/json",
+			`node-tracker-diagnostics-${date}.json`
+		);
+	};
+
+	return (
+		<div
+			style={{
+				position: "fixed",
+				top: 0,
+				right: 0,
+				bottom: 0,
+				width: "420px",
+				maxWidth: "100vw",
+				zIndex: 1500,
+				display: "flex",
+				flexDirection: "column",
+				backgroundColor: "white",
+				boxShadow: "-2px 0 8px rgba(0,0,0,0.2)",
+				fontSize: "0.8rem",
+			}}
+		>
+			<div
+				style={{
+					padding: "10px",
+					borderBottom: "1px solid #dee2e6",
+					backgroundColor: "#f8f9fa",
+				}}
+			>
+				<div
+					style={{
+						display: "flex",
+						justifyContent: "space-between",
+						alignItems: "center",
+					}}
+				>
+					<strong style={{ fontSize: "1rem" }}>🩺 Diagnostics</strong>
+					<button
+						onClick={onClose}
+						style={{
+							background: "none",
+							border: "none",
+							cursor: "pointer",
+							fontSize: "1.2rem",
+						}}
+					>
+						×
+					</button>
+				</div>
+				<div style={{ color: "#666", marginTop: "2px" }}>
+					Last {entries.length} events · console logging{" "}
+					{DEBUG ? "verbose (REACT_APP_DEBUG)" : "warnings and errors only"}
+				</div>
+				<div
+					style={{
+						display: "flex",
+						gap: "5px",
+						marginTop: "8px",
+						alignItems: "center",
+					}}
+				>
+					<select value={filter} onChange={(e) => setFilter(e.target.value)}>
+						{FILTERS.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+					<button
+						onClick={exportLog}
+						style={{ ...buttonStyle, backgroundColor: "#007bff" }}
+					>
+						Export JSON
+					</button>
+					<button
+						onClick={logBuffer.clear}
+						style={{ ...buttonStyle, backgroundColor: "#6c757d" }}
+					>
+						Clear
+					</button>
+				</div>
+			</div>
+
+			<div style={{ flex: 1, overflowY: "auto", padding: "5px 10px" }}>
+				{visibleEntries.length === 0 && (
+					<div style={{ color: "#999", marginTop: "10px" }}>
+						Nothing logged yet
+					</div>
+				)}
+				{visibleEntries.map((entry) => (
+					<div
+						key={entry.id}
+						style={{ padding: "4px 0", borderBottom: "1px solid #f1f1f1" }}
+					>
+						<div>
+							<span style={{ color: "#999" }}>
+								{new Date(entry.time).toLocaleTimeString()}
+							</span>{" "}
+							<span
+								style={{
+									color: LEVEL_COLORS[entry.level],
+									fontWeight: "bold",
+								}}
+							>
+								{entry.level}
+							</span>{" "}
+							<span style={{ color: "#495057" }}>[{entry.category}]</span>{" "}
+							{entry.message}
+						</div>
+						{entry.data !== undefined && (
+							<pre
+								style={{
+									margin: "2px 0 0",
+									whiteSpace: "pre-wrap",
+									wordBreak: "break-all",
+									color: "#666",
+								}}
+							>
+								{JSON.stringify(entry.data)}
+							</pre>
+						)}
+					</div>
+				))}
+			</div>
+		</div>
+	);
+};
+
+export default DiagnosticsDrawer;
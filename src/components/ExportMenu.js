@@ -0,0 +1,25 @@
+import React from "react";
+import { EXPORT_FORMATS } from "../utils/exportTrack";
+
+// Dropdown that triggers a history export in the chosen format
+const ExportMenu = ({ onExport, label = "Export history...", style }) => {
+	return (
+		<select
+			value=""
+			onClick={(e) => e.stopPropagation()}
+			onChange={(e) => {
+				if (e.target.value) onExport(e.target.value);
+			}}
+			style={{ fontSize: "0.8rem", ...style }}
+		>
+			<option value="">{label}</option>
+			{EXPORT_FORMATS.map((format) => (
+				<option key={format.value} value={format.value}>
+					{format.label}
+				</option>
+			))}
+		</select>
+	);
+};
+
+export default ExportMenu;
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { FRESHNESS_STYLES } from "../utils/staleness";
+
+const LEVELS = ["aging", "stale", "offline"];
+
+const sectionStyle = {
+	padding: "10px",
+	margin: "10px 0",
+	backgroundColor: "white",
+	border: "1px solid #dee2e6",
+	borderRadius: "4px",
+	fontSize: "0.85rem",
+};
+
+// Legend and threshold settings for marker freshness
+const FreshnessSettings = ({ staleness, counts }) => {
+	const [expanded, setExpanded] = useState(false);
+
+	const handleThresholdChange = (level) => (e) => {
+		const minutes = Number(e.target.value);
+		if (minutes > 0) {
+			staleness.setThreshold(level, minutes);
+		}
+	};
+
+	return (
+		<div style={sectionStyle}>
+			<div
+				style={{
+					display: "flex",
+					justifyContent: "space-between",
+					alignItems: "center",
+				}}
+			>
+				<strong>⏱️ Freshness</strong>
+				<button
+					onClick={() => setExpanded((prev) => !prev)}
+					style={{
+						background: "none",
+						border: "none",
+						color: "#007bff",
+						cursor: "pointer",
+						fontSize: "0.8rem",
+					}}
+				>
+					{expanded ? "Hide settings" : "Settings"}
+				</button>
+			</div>
+
+			<div style={{ marginTop: "5px" }}>
+				{Object.entries(FRESHNESS_STYLES).map(([level, style]) => (
+					<span
+						key={level}
+						style={{ marginRight: "8px", whiteSpace: "nowrap" }}
+					>
+						<span style={{ color: style.badgeColor }}>●</span> {style.label} (
+						{counts[level] || 0})
+					</span>
+				))}
+			</div>
+
+			{expanded && (
+				<div style={{ marginTop: "8px" }}>
+					{LEVELS.map((level) => (
+						<label
+							key={level}
+							style={{
+								display: "flex",
+								justifyContent: "space-between",
+								alignItems: "center",
+								marginTop: "4px",
+							}}
+						>
+							{FRESHNESS_STYLES[level].label} after (min)
+							<input
+								type="number"
+								min="1"
+								value={staleness.thresholds[level]}
+								onChange={handleThresholdChange(level)}
+								style={{ width: "70px" }}
+							/>
+						</label>
+					))}
+					<label style={{ display: "block", marginTop: "6px" }}>
+						<input
+							type="checkbox"
+							checked={staleness.alertOnOffline}
+							onChange={(e) => staleness.setAlertOnOffline(e.target.checked)}
+						/>{" "}
+						Alert when a tracker goes offline
+					</label>
+					<button
+						onClick={staleness.resetSettings}
+						style={{
+							marginTop: "6px",
+							padding: "4px 8px",
+							backgroundColor: "#6c757d",
+							color: "white",
+							border: "none",
+							borderRadius: "3px",
+							cursor: "pointer",
+							fontSize: "0.8rem",
+						}}
+					>
+						Reset to defaults
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default FreshnessSettings;
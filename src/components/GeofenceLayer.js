@@ -0,0 +1,78 @@
+import React from "react";
+import {
+	Circle,
+	Polygon,
+	Polyline,
+	CircleMarker,
+	Tooltip,
+} from "react-leaflet";
+
+const ZONE_STYLE = { color: "#6f42c1", weight: 2, fillOpacity: 0.1 };
+const DRAFT_STYLE = { color: "#fd7e14", weight: 2, dashArray: "6 4" };
+
+// Draws saved geofences and the geofence currently being drawn
+const GeofenceLayer = ({ geofences, draft }) => {
+	return (
+		<>
+			{geofences.map((geofence) =>
+				geofence.type === "circle" ? (
+					<Circle
+						key={geofence.id}
+						center={[geofence.center.lat, geofence.center.lng]}
+						radius={geofence.radius}
+						pathOptions={ZONE_STYLE}
+					>
+						<Tooltip>{geofence.name}</Tooltip>
+					</Circle>
+				) : (
+					<Polygon
+						key={geofence.id}
+						positions={geofence.points.map((point) => [point.lat, point.lng])}
+						pathOptions={ZONE_STYLE}
+					>
+						<Tooltip>{geofence.name}</Tooltip>
+					</Polygon>
+				)
+			)}
+
+			{draft?.type === "circle" && draft.center && (
+				<>
+					<CircleMarker
+						center={[draft.center.lat, draft.center.lng]}
+						radius={4}
+						pathOptions={DRAFT_STYLE}
+					/>
+					{draft.radius > 0 && (
+						<Circle
+							center={[draft.center.lat, draft.center.lng]}
+							radius={draft.radius}
+							pathOptions={DRAFT_STYLE}
+						/>
+					)}
+				</>
+			)}
+
+			{draft?.type === "polygon" && draft.points.length > 0 && (
+				<>
+					{draft.points.map((point, index) => (
+						<CircleMarker
+							key={index}
+							center={[point.lat, point.lng]}
+							radius={4}
+							pathOptions={DRAFT_STYLE}
+						/>
+					))}
+					<Polyline
+						positions={[...draft.points, draft.points[0]].map((point) => [
+							point.lat,
+							point.lng,
+						])}
+						pathOptions={DRAFT_STYLE}
+					/>
+				</>
+			)}
+		</>
+	);
+};
+
+export default GeofenceLayer;
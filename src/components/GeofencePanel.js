@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+
+const buttonStyle = {
+	padding: "4px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+const sectionStyle = {
+	padding: "10px",
+	margin: "10px 0",
+	backgroundColor: "white",
+	border: "1px solid #dee2e6",
+	borderRadius: "4px",
+	fontSize: "0.85rem",
+};
+
+// Describe what the next map click does while a geofence is being drawn
+const drawingHint = (draft) => {
+	if (draft.type === "circle") {
+		return draft.center
+			? `Radius ${Math.round(draft.radius)}m. Click again to adjust.`
+			: "Click the map to place the circle center.";
+	}
+	return `${draft.points.length} point${
+		draft.points.length === 1 ? "" : "s"
+	}. Click the map to add vertices (at least 3).`;
+};
+
+const GeofencePanel = ({ geofences, getTrackerName }) => {
+	const [name, setName] = useState("");
+	const [showEvents, setShowEvents] = useState(true);
+
+	const { draft } = geofences;
+
+	const handleSave = () => {
+		if (geofences.saveDraft(name)) {
+			setName("");
+		}
+	};
+
+	return (
+		<div style={sectionStyle}>
+			<div style={{ fontWeight: "bold", marginBottom: "8px" }}>
+				🗺️ Geofences ({geofences.geofences.length})
+			</div>
+
+			{!draft && (
+				<div style={{ display: "flex", gap: "5px" }}>
+					<button
+						onClick={() => geofences.startDrawing("circle")}
+						style={{ ...buttonStyle, backgroundColor: "#007bff" }}
+					>
+						Draw Circle
+					</button>
+					<button
+						onClick={() => geofences.startDrawing("polygon")}
+						style={{ ...buttonStyle, backgroundColor: "#007bff" }}
+					>
+						Draw Polygon
+					</button>
+				</div>
+			)}
+
+			{draft && (
+				<div>
+					<div style={{ color: "#666", marginBottom: "5px" }}>
+						{drawingHint(draft)}
+					</div>
+					<input
+						type="text"
+						placeholder="Zone name"
+						value={name}
+						onChange={(e) => setName(e.target.value)}
+						style={{ width: "100%", marginBottom: "5px" }}
+					/>
+					<button
+						onClick={handleSave}
+						disabled={!geofences.draftComplete}
+						style={{ ...buttonStyle, backgroundColor: "#28a745" }}
+					>
+						Save
+					</button>
+					<button
+						onClick={geofences.cancelDrawing}
+						style={{
+							...buttonStyle,
+							marginLeft: "5px",
+							backgroundColor: "#6c757d",
+						}}
+					>
+						Cancel
+					</button>
+				</div>
+			)}
+
+			{geofences.geofences.map((geofence) => (
+				<div
+					key={geofence.id}
+					style={{
+						display: "flex",
+						justifyContent: "space-between",
+						alignItems: "center",
+						marginTop: "5px",
+					}}
+				>
+					<span>
+						{geofence.name}{" "}
+						<span style={{ color: "#999" }}>
+							(
+							{geofence.type === "circle"
+								? `${Math.round(geofence.radius)}m circle`
+								: `${geofence.points.length}-point polygon`}
+							)
+						</span>
+					</span>
+					<button
+						onClick={() => geofences.removeGeofence(geofence.id)}
+						style={{ ...buttonStyle, backgroundColor: "#dc3545" }}
+					>
+						×
+					</button>
+				</div>
+			))}
+
+			<div
+				style={{
+					display: "flex",
+					justifyContent: "space-between",
+					alignItems: "center",
+					marginTop: "10px",
+				}}
+			>
+				<button
+					onClick={() => setShowEvents((prev) => !prev)}
+					style={{
+						background: "none",
+						border: "none",
+						padding: 0,
+						cursor: "pointer",
+						fontWeight: "bold",
+					}}
+				>
+					{showEvents ? "▾" : "▸"} Event Log ({geofences.events.length})
+				</button>
+				{geofences.events.length > 0 && (
+					<button
+						onClick={geofences.clearEvents}
+						style={{ ...buttonStyle, backgroundColor: "#6c757d" }}
+					>
+						Clear
+					</button>
+				)}
+			</div>
+
+			{showEvents && (
+				<div
+					style={{ maxHeight: "200px", overflowY: "auto", marginTop: "5px" }}
+				>
+					{geofences.events.length === 0 && (
+						<div style={{ color: "#999" }}>No enter/exit events yet</div>
+					)}
+					{geofences.events.map((event) => (
+						<div
+							key={event.id}
+							style={{ fontSize: "0.8rem", padding: "2px 0", color: "#333" }}
+						>
+							<span style={{ color: "#999" }}>
+								{new Date(event.time).toLocaleTimeString()}
+							</span>{" "}
+							{event.type === "enter" ? "➡️" : "⬅️"}{" "}
+							{getTrackerName(event.subjectId)}{" "}
+							{event.type === "enter" ? "entered" : "left"}{" "}
+							<strong>{event.geofenceName}</strong>
+						</div>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default GeofencePanel;
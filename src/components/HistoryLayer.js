@@ -0,0 +1,95 @@
+import React, { useMemo } from "react";
+import { Polyline, CircleMarker, Popup } from "react-leaflet";
+import { indexAtTime } from "../utils/history";
+
+// Draws a loaded history track, the playback marker, detected stops and
+// the highlighted trip on the map
+const HistoryLayer = ({ playback, stops = [], selectedTrip }) => {
+	const { points, position, currentTime } = playback;
+
+	const path = useMemo(
+		() => points.map((point) => [point.lat, point.lng]),
+		[points]
+	);
+
+	const tripPath = useMemo(
+		() =>
+			selectedTrip
+				? path.slice(selectedTrip.startIndex, selectedTrip.endIndex + 1)
+				: null,
+		[path, selectedTrip]
+	);
+
+	if (points.length === 0 || !position) return null;
+
+	// Part of the track already travelled up to the playhead
+	const travelled = [
+		...path.slice(0, indexAtTime(points, currentTime) + 1),
+		[position.lat, position.lng],
+	];
+
+	return (
+		<>
+			<Polyline
+				positions={path}
+				pathOptions={{ color: "#6c757d", weight: 3, opacity: 0.6 }}
+			/>
+			<Polyline
+				positions={travelled}
+				pathOptions={{ color: "#fd7e14", weight: 4 }}
+			/>
+			{tripPath && (
+				<Polyline
+					positions={tripPath}
+					pathOptions={{ color: "#6f42c1", weight: 6, opacity: 0.9 }}
+				/>
+			)}
+			{stops.map((stop) => (
+				<CircleMarker
+					key={stop.id}
+					center={[stop.lat, stop.lng]}
+					radius={5}
+					pathOptions={{
+						color: "#6c757d",
+						weight: 1,
+						fillColor: "white",
+						fillOpacity: 1,
+					}}
+				>
+					<Popup>
+						<div>
+							<strong>Stop</strong>
+							<br />
+							{new Date(stop.startTime).toLocaleString()} –{" "}
+							{new Date(stop.endTime).toLocaleTimeString()}
+						</div>
+					</Popup>
+				</CircleMarker>
+			))}
+			<CircleMarker
+				center={[position.lat, position.lng]}
+				radius={8}
+				pathOptions={{
+					color: "white",
+					weight: 2,
+					fillColor: "#fd7e14",
+					fillOpacity: 1,
+				}}
+			>
+				<Popup>
+					<div>
+						<strong>Playback</strong>
+						<br />
+						Lat: {position.lat.toFixed(6)}
+						<br />
+						Lng: {position.lng.toFixed(6)}
+						<br />
+						Time: {new Date(position.time).toLocaleString()}
+					</div>
+				</Popup>
+			</CircleMarker>
+		</>
+	);
+};
+
+export default HistoryLayer;
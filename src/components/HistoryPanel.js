@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from "react";
+import { PLAYBACK_SPEEDS } from "../hooks/useHistoryPlayback";
+import ExportMenu from "./ExportMenu";
+
+const RANGE_PRESETS = [
+	{ label: "Last hour", hours: 1 },
+	{ label: "Last 6 hours", hours: 6 },
+	{ label: "Last 24 hours", hours: 24 },
+	{ label: "Last 7 days", hours: 24 * 7 },
+];
+
+// Format a Date for a datetime-local input (local time, minute precision)
+const toInputValue = (date) => {
+	const pad = (value) => String(value).padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+		date.getDate()
+	)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const buttonStyle = {
+	padding: "4px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+const HistoryPanel = ({ tracker, playback, onLoad, onExport }) => {
+	const [from, setFrom] = useState(() =>
+		toInputValue(new Date(Date.now() - 60 * 60 * 1000))
+	);
+	const [to, setTo] = useState(() => toInputValue(new Date()));
+	const [rangeError, setRangeError] = useState(null);
+
+	// Show the range of history loaded from elsewhere, such as a shared link
+	const { range } = playback;
+	useEffect(() => {
+		if (!range) return;
+		setFrom(toInputValue(range.from));
+		setTo(toInputValue(range.to));
+	}, [range]);
+
+	const applyPreset = (hours) => {
+		const now = new Date();
+		setFrom(toInputValue(new Date(now.getTime() - hours * 60 * 60 * 1000)));
+		setTo(toInputValue(now));
+		setRangeError(null);
+	};
+
+	const handleLoad = () => {
+		const range = { from: new Date(from), to: new Date(to) };
+		if (
+			Number.isNaN(range.from.getTime()) ||
+			Number.isNaN(range.to.getTime())
+		) {
+			setRangeError("Enter both a start and an end time");
+			return;
+		}
+		if (range.from >= range.to) {
+			setRangeError("The start time must be before the end time");
+			return;
+		}
+		setRangeError(null);
+		onLoad(range);
+	};
+
+	const hasTrack =
+		playback.trackerId === tracker.trackerId && playback.points.length > 0;
+
+	return (
+		<div
+			style={{
+				padding: "10px",
+				margin: "10px 0",
+				backgroundColor: "white",
+				border: "1px solid #dee2e6",
+				borderRadius: "4px",
+				fontSize: "0.85rem",
+			}}
+		>
+			<div style={{ fontWeight: "bold", marginBottom: "8px" }}>
+				🕒 History: {tracker.name || tracker.trackerId}
+			</div>
+
+			<div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+				{RANGE_PRESETS.map((preset) => (
+					<button
+						key={preset.hours}
+						onClick={() => applyPreset(preset.hours)}
+						style={{ ...buttonStyle, backgroundColor: "#6c757d" }}
+					>
+						{preset.label}
+					</button>
+				))}
+			</div>
+
+			<label style={{ display: "block", marginTop: "8px" }}>
+				From
+				<input
+					type="datetime-local"
+					value={from}
+					onChange={(e) => setFrom(e.target.value)}
+					style={{ width: "100%" }}
+				/>
+			</label>
+			<label style={{ display: "block", marginTop: "4px" }}>
+				To
+				<input
+					type="datetime-local"
+					value={to}
+					onChange={(e) => setTo(e.target.value)}
+					style={{ width: "100%" }}
+				/>
+			</label>
+
+			<div style={{ marginTop: "8px" }}>
+				<button
+					onClick={handleLoad}
+					disabled={playback.loading}
+					style={{ ...buttonStyle, backgroundColor: "#007bff" }}
+				>
+					{playback.loading ? "Loading..." : "Load History"}
+				</button>
+				{playback.trackerId && (
+					<button
+						onClick={playback.clear}
+						style={{
+							...buttonStyle,
+							marginLeft: "5px",
+							backgroundColor: "#6c757d",
+						}}
+					>
+						Clear
+					</button>
+				)}
+			</div>
+
+			{rangeError && (
+				<div style={{ marginTop: "8px", color: "#dc3545" }}>{rangeError}</div>
+			)}
+
+			{hasTrack && (
+				<div style={{ marginTop: "10px" }}>
+					<div style={{ color: "#666" }}>{playback.points.length} points</div>
+					<input
+						type="range"
+						min={playback.startTime}
+						max={playback.endTime}
+						value={playback.currentTime}
+						onChange={(e) => playback.seek(Number(e.target.value))}
+						style={{ width: "100%" }}
+					/>
+					<div style={{ fontSize: "0.8rem", color: "#999" }}>
+						{new Date(playback.currentTime).toLocaleString()}
+					</div>
+					<div
+						style={{
+							display: "flex",
+							alignItems: "center",
+							gap: "5px",
+							marginTop: "5px",
+						}}
+					>
+						<button
+							onClick={playback.playing ? playback.pause : playback.play}
+							disabled={playback.points.length < 2}
+							style={{
+								...buttonStyle,
+								backgroundColor: playback.playing ? "#dc3545" : "#28a745",
+							}}
+						>
+							{playback.playing ? "Pause" : "Play"}
+						</button>
+						<select
+							value={playback.speed}
+							onChange={(e) => playback.setSpeed(Number(e.target.value))}
+						>
+							{PLAYBACK_SPEEDS.map((speed) => (
+								<option key={speed} value={speed}>
+									{speed}x
+								</option>
+							))}
+						</select>
+						<ExportMenu
+							label="Export..."
+							onExport={(format) => onExport(playback.points, format)}
+						/>
+					</div>
+				</div>
+			)}
+
+			{playback.trackerId === tracker.trackerId &&
+				!playback.loading &&
+				playback.points.length === 0 && (
+					<div style={{ marginTop: "8px", color: "#999" }}>
+						No history in the selected range
+					</div>
+				)}
+		</div>
+	);
+};
+
+export default HistoryPanel;
@@ -0,0 +1,47 @@
+import React, { useEffect, useMemo } from "react";
+import { Polyline, CircleMarker, Tooltip, useMap } from "react-leaflet";
+
+// Previews an imported track on the map before it is uploaded
+const ImportLayer = ({ preview }) => {
+	const map = useMap();
+
+	const path = useMemo(
+		() =>
+			preview ? preview.points.map((point) => [point.lat, point.lng]) : [],
+		[preview]
+	);
+
+	// Bring the whole preview into view when a file is loaded
+	useEffect(() => {
+		if (path.length > 0) {
+			map.fitBounds(path, { padding: [40, 40] });
+		}
+	}, [path, map]);
+
+	if (path.length === 0) return null;
+
+	return (
+		<>
+			<Polyline
+				positions={path}
+				pathOptions={{ color: "#20c997", weight: 3, dashArray: "6 4" }}
+			/>
+			<CircleMarker
+				center={path[0]}
+				radius={6}
+				pathOptions={{ color: "#28a745", fillOpacity: 1 }}
+			>
+				<Tooltip>Import start</Tooltip>
+			</CircleMarker>
+			<CircleMarker
+				center={path[path.length - 1]}
+				radius={6}
+				pathOptions={{ color: "#dc3545", fillOpacity: 1 }}
+			>
+				<Tooltip>Import end</Tooltip>
+			</CircleMarker>
+		</>
+	);
+};
+
+export default ImportLayer;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from "react";
+import { UNTIMED_POINT_SPACING } from "../utils/importTrack";
+
+const buttonStyle = {
+	padding: "4px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+const formatTime = (time) =>
+	time !== null ? new Date(time).toLocaleString() : "unknown";
+
+const ImportPanel = ({ trackImport, trackers, onFileSelected, onImport }) => {
+	const [createNew, setCreateNew] = useState(true);
+	const [name, setName] = useState("");
+	const [targetId, setTargetId] = useState("");
+
+	const { preview, progress, importing } = trackImport;
+
+	// Default the new tracker name to the one found in the file; files with
+	// untimed points can only start a new tracker
+	useEffect(() => {
+		setName(preview ? preview.name : "");
+		if (preview && preview.points.some((point) => point.time === null)) {
+			setCreateNew(true);
+		}
+	}, [preview]);
+
+	const handleImport = () => {
+		if (createNew) {
+			onImport({
+				createNew: true,
+				trackerId: `tracker_${Date.now()}`,
+				name: name.trim() || preview.name,
+			});
+		} else if (targetId) {
+			onImport({ createNew: false, trackerId: targetId });
+		}
+	};
+
+	const points = preview?.points || [];
+	const first = points[0];
+	const last = points[points.length - 1];
+	const untimedCount = points.filter((point) => point.time === null).length;
+	const canAppend = untimedCount === 0;
+
+	return (
+		<div
+			style={{
+				padding: "10px",
+				margin: "10px 0",
+				backgroundColor: "white",
+				border: "1px solid #dee2e6",
+				borderRadius: "4px",
+				fontSize: "0.85rem",
+			}}
+		>
+			<div style={{ fontWeight: "bold", marginBottom: "8px" }}>
+				📂 Import Track (GPX / GeoJSON)
+			</div>
+
+			<input
+				type="file"
+				accept=".gpx,.geojson,.json"
+				disabled={importing}
+				onChange={(e) => {
+					const file = e.target.files[0];
+					e.target.value = "";
+					if (file) onFileSelected(file);
+				}}
+				style={{ width: "100%" }}
+			/>
+
+			{preview && (
+				<div style={{ marginTop: "8px" }}>
+					<div>
+						<strong>{preview.fileName}</strong>: {points.length} points
+					</div>
+					<div style={{ fontSize: "0.8rem", color: "#999" }}>
+						{formatTime(first.time)} – {formatTime(last.time)}
+					</div>
+					{preview.skipped.length > 0 && (
+						<div style={{ fontSize: "0.8rem", color: "#856404" }}>
+							⚠️ Skipped:{" "}
+							{preview.skipped.map((item) => item.reason).join(", ")}
+						</div>
+					)}
+					{untimedCount > 0 && (
+						<div style={{ fontSize: "0.8rem", color: "#856404" }}>
+							⚠️ {untimedCount} of {points.length} points have no timestamp.
+							They can only start a new tracker, where they are spaced{" "}
+							{UNTIMED_POINT_SPACING / 1000}s apart ending at the import time.
+						</div>
+					)}
+
+					<label style={{ display: "block", marginTop: "8px" }}>
+						<input
+							type="radio"
+							checked={createNew}
+							disabled={importing}
+							onChange={() => setCreateNew(true)}
+						/>{" "}
+						Create new tracker
+					</label>
+					{createNew && (
+						<input
+							type="text"
+							value={name}
+							disabled={importing}
+							placeholder="Tracker name"
+							onChange={(e) => setName(e.target.value)}
+							style={{ width: "100%" }}
+						/>
+					)}
+
+					<label style={{ display: "block", marginTop: "4px" }}>
+						<input
+							type="radio"
+							checked={!createNew}
+							disabled={importing || trackers.length === 0 || !canAppend}
+							onChange={() => setCreateNew(false)}
+						/>{" "}
+						Append to existing tracker
+					</label>
+					{!createNew && (
+						<select
+							value={targetId}
+							disabled={importing}
+							onChange={(e) => setTargetId(e.target.value)}
+							style={{ width: "100%" }}
+						>
+							<option value="">Choose a tracker...</option>
+							{trackers.map((tracker) => (
+								<option key={tracker.trackerId} value={tracker.trackerId}>
+									{tracker.name || tracker.trackerId}
+								</option>
+							))}
+						</select>
+					)}
+
+					{progress && (
+						<div style={{ marginTop: "8px" }}>
+							<div
+								style={{
+									height: "6px",
+									backgroundColor: "#e9ecef",
+									borderRadius: "3px",
+									overflow: "hidden",
+								}}
+							>
+								<div
+									style={{
+										height: "100%",
+										width: `${(progress.sent / progress.total) * 100}%`,
+										backgroundColor: "#28a745",
+									}}
+								/>
+							</div>
+							<div style={{ fontSize: "0.8rem", color: "#666" }}>
+								Uploaded {progress.sent} of {progress.total} points
+							</div>
+						</div>
+					)}
+
+					<div style={{ marginTop: "8px" }}>
+						{importing ? (
+							<button
+								onClick={trackImport.cancel}
+								style={{ ...buttonStyle, backgroundColor: "#dc3545" }}
+							>
+								Cancel Upload
+							</button>
+						) : (
+							<>
+								<button
+									onClick={handleImport}
+									disabled={!createNew && (!targetId || !canAppend)}
+									style={{ ...buttonStyle, backgroundColor: "#28a745" }}
+								>
+									Import
+								</button>
+								<button
+									onClick={trackImport.clear}
+									style={{
+										...buttonStyle,
+										marginLeft: "5px",
+										backgroundColor: "#6c757d",
+									}}
+								>
+									Discard
+								</button>
+							</>
+						)}
+					</div>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default ImportPanel;
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from "react";
+import { Polygon, useMap, useMapEvents } from "react-leaflet";
+
+// Minimum screen distance between recorded lasso points, in pixels
+const MIN_POINT_SPACING = 4;
+
+// Freehand lasso drawn by dragging on the map; map panning is paused while
+// active and onComplete receives the closed shape as { lat, lng } points
+const LassoLayer = ({ active, onComplete }) => {
+	const map = useMap();
+	const [path, setPath] = useState(null);
+
+	useEffect(() => {
+		if (!active) return;
+		map.dragging.disable();
+		map.getContainer().style.cursor = "crosshair";
+		return () => {
+			map.dragging.enable();
+			map.getContainer().style.cursor = "";
+			setPath(null);
+		};
+	}, [active, map]);
+
+	useMapEvents({
+		mousedown: (e) => {
+			if (!active) return;
+			setPath([e.latlng]);
+		},
+		mousemove: (e) => {
+			if (!active || !path) return;
+			const last = path[path.length - 1];
+			const distance = map
+				.latLngToContainerPoint(last)
+				.distanceTo(map.latLngToContainerPoint(e.latlng));
+			if (distance >= MIN_POINT_SPACING) {
+				setPath([...path, e.latlng]);
+			}
+		},
+		mouseup: () => {
+			if (!active || !path) return;
+			if (path.length >= 3) {
+				onComplete(path.map(({ lat, lng }) => ({ lat, lng })));
+			}
+			setPath(null);
+		},
+	});
+
+	if (!path || path.length < 2) return null;
+
+	return (
+		<Polygon
+			positions={path}
+			pathOptions={{
+				color: "#ffc107",
+				weight: 2,
+				dashArray: "4 4",
+				fillOpacity: 0.1,
+			}}
+		/>
+	);
+};
+
+export default LassoLayer;
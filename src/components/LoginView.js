@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import { API_ERROR_TYPES, describeError } from "../apiErrors";
+import { createLogger } from "../logger";
+
+const log = createLogger("auth");
+
+const fieldStyle = { width: "100%", padding: "8px", marginTop: "2px" };
+const labelStyle = { display: "block", marginTop: "10px", fontSize: "0.9rem" };
+
+// Sign-in form shown until the user has a session
+const LoginView = ({ onLogin }) => {
+	const [username, setUsername] = useState("");
+	const [password, setPassword] = useState("");
+	const [submitting, setSubmitting] = useState(false);
+	const [loginError, setLoginError] = useState(null);
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+		if (!username.trim() || !password) {
+			setLoginError("Enter your username and password");
+			return;
+		}
+
+		try {
+			setSubmitting(true);
+			setLoginError(null);
+			await onLogin({ username: username.trim(), password });
+		} catch (err) {
+			setLoginError(
+				err.type === API_ERROR_TYPES.unauthorized
+					? "Invalid username or password"
+					: describeError("Failed to sign in", err)
+			);
+			log.error("Error signing in:", err);
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<div
+			style={{
+				height: "100vh",
+				display: "flex",
+				alignItems: "center",
+				justifyContent: "center",
+				backgroundColor: "#f8f9fa",
+			}}
+		>
+			<form
+				onSubmit={handleSubmit}
+				style={{
+					width: "320px",
+					maxWidth: "90vw",
+					padding: "24px",
+					backgroundColor: "white",
+					border: "1px solid #dee2e6",
+					borderRadius: "6px",
+					boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+				}}
+			>
+				<h1 style={{ margin: 0, fontSize: "1.5rem" }}>Node Tracker</h1>
+				<div style={{ fontSize: "0.9rem", color: "#666" }}>
+					Sign in to continue
+				</div>
+
+				<label style={labelStyle}>
+					Username
+					<input
+						type="text"
+						autoComplete="username"
+						value={username}
+						onChange={(e) => setUsername(e.target.value)}
+						autoFocus
+						style={fieldStyle}
+					/>
+				</label>
+				<label style={labelStyle}>
+					Password
+					<input
+						type="password"
+						autoComplete="current-password"
+						value={password}
+						onChange={(e) => setPassword(e.target.value)}
+						style={fieldStyle}
+					/>
+				</label>
+
+				{loginError && (
+					<div style={{ marginTop: "10px", color: "#721c24" }}>
+						{loginError}
+					</div>
+				)}
+
+				<button
+					type="submit"
+					disabled={submitting}
+					style={{
+						width: "100%",
+						marginTop: "15px",
+						padding: "10px",
+						backgroundColor: "#007bff",
+						color: "white",
+						border: "none",
+						borderRadius: "4px",
+						cursor: "pointer",
+						fontWeight: "bold",
+					}}
+				>
+					{submitting ? "Signing in..." : "Sign in"}
+				</button>
+			</form>
+		</div>
+	);
+};
+
+export default LoginView;
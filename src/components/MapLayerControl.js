@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useRef } from "react";
+import L from "leaflet";
+import OfflineTilesPanel from "./OfflineTilesPanel";
+
+const OVERLAYS = [
+	{ key: "trails", label: "Trails" },
+	{ key: "geofences", label: "Geofences" },
+];
+
+const sectionTitleStyle = {
+	fontWeight: "bold",
+	margin: "6px 0 2px",
+};
+
+// Collapsible map control to pick the base map, toggle overlays and save
+// tiles for offline use. Rendered inside MapContainer.
+const MapLayerControl = ({ mapLayers }) => {
+	const [expanded, setExpanded] = useState(false);
+	const containerRef = useRef(null);
+	const { layers, baseLayer, overlays, setBaseLayer, setOverlay } = mapLayers;
+
+	// Clicks and scrolling in the control must not reach the map
+	useEffect(() => {
+		L.DomEvent.disableClickPropagation(containerRef.current);
+		L.DomEvent.disableScrollPropagation(containerRef.current);
+	}, []);
+
+	return (
+		<div
+			ref={containerRef}
+			style={{
+				position: "absolute",
+				top: "10px",
+				right: "10px",
+				zIndex: 1000,
+				backgroundColor: "white",
+				border: "2px solid rgba(0, 0, 0, 0.2)",
+				borderRadius: "4px",
+				padding: expanded ? "8px" : 0,
+				fontSize: "0.8rem",
+				width: expanded ? "220px" : "auto",
+				cursor: "default",
+			}}
+		>
+			<button
+				onClick={() => setExpanded((prev) => !prev)}
+				title="Map layers"
+				style={{
+					border: "none",
+					background: "none",
+					padding: expanded ? 0 : "6px 8px",
+					cursor: "pointer",
+					fontSize: "0.8rem",
+					fontWeight: expanded ? "bold" : "normal",
+				}}
+			>
+				🗺️ {expanded ? "Map layers ✕" : baseLayer?.name || "Layers"}
+			</button>
+			{/* Kept mounted while collapsed so a tile download keeps running */}
+			<div style={{ display: expanded ? "block" : "none" }}>
+				<div style={sectionTitleStyle}>Base map</div>
+				{layers.length === 0 && (
+					<div style={{ color: "#dc3545" }}>No tile layers configured</div>
+				)}
+				{layers.map((layer) => (
+					<label key={layer.id} style={{ display: "block" }}>
+						<input
+							type="radio"
+							name="base-layer"
+							checked={baseLayer?.id === layer.id}
+							onChange={() => setBaseLayer(layer.id)}
+						/>{" "}
+						{layer.name}
+					</label>
+				))}
+				<div style={sectionTitleStyle}>Overlays</div>
+				{OVERLAYS.map((overlay) => (
+					<label key={overlay.key} style={{ display: "block" }}>
+						<input
+							type="checkbox"
+							checked={overlays[overlay.key]}
+							onChange={(e) => setOverlay(overlay.key, e.target.checked)}
+						/>{" "}
+						{overlay.label}
+					</label>
+				))}
+				{baseLayer && (
+					<>
+						<div style={sectionTitleStyle}>Offline tiles</div>
+						<OfflineTilesPanel layer={baseLayer} />
+					</>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default MapLayerControl;
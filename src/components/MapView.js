@@ -1,14 +1,77 @@
-import React, { useState, useEffect, useRef } from "react";
-import {
-	MapContainer,
-	TileLayer,
-	Marker,
-	Popup,
-	useMapEvents,
-} from "react-leaflet";
+import React, {
+	useState,
+	useEffect,
+	useRef,
+	useCallback,
+	useMemo,
+} from "react";
+import { MapContainer, Marker, Popup, useMapEvents } from "react-leaflet";
 import L from "leaflet";
-import { trackerAPI, geolocationAPI } from "../api";
-import io from "socket.io-client";
+import { trackerAPI, geolocationAPI, buildLocationUpdate } from "../api";
+import { describeError } from "../apiErrors";
+import { createLogger } from "../logger";
+import { createCustomIcon } from "../utils/icons";
+import { normalizeHistory } from "../utils/history";
+import { downloadTrack, downloadFile } from "../utils/exportTrack";
+import { formatDuration, tripsToCSV } from "../utils/trips";
+import { toLatLng } from "../utils/geo";
+import { isInsideGeofence } from "../utils/geofence";
+import { buildPath } from "../utils/routes";
+import {
+	DEFAULT_FILTERS,
+	filterTrackers,
+	sortTrackers,
+	groupTrackers,
+} from "../utils/trackerFilters";
+import useHistoryPlayback from "../hooks/useHistoryPlayback";
+import useOfflineQueue from "../hooks/useOfflineQueue";
+import useTrackerTrails from "../hooks/useTrackerTrails";
+import useGeofences from "../hooks/useGeofences";
+import useTrackerSocket from "../hooks/useTrackerSocket";
+import useSubscriptions, { WATCH_MODES } from "../hooks/useSubscriptions";
+import useTrackImport from "../hooks/useTrackImport";
+import useNow from "../hooks/useNow";
+import useNotifications from "../hooks/useNotifications";
+import useStaleness from "../hooks/useStaleness";
+import useSendRules from "../hooks/useSendRules";
+import useFixFilter from "../hooks/useFixFilter";
+import useTrips from "../hooks/useTrips";
+import useMultiSelect from "../hooks/useMultiSelect";
+import useUndoQueue from "../hooks/useUndoQueue";
+import useConfirm from "../hooks/useConfirm";
+import useRecordingSession from "../hooks/useRecordingSession";
+import useWakeLock from "../hooks/useWakeLock";
+import useMapLayers from "../hooks/useMapLayers";
+import useMapView from "../hooks/useMapView";
+import HistoryPanel from "./HistoryPanel";
+import HistoryLayer from "./HistoryLayer";
+import TripPanel from "./TripPanel";
+import TrailLayer from "./TrailLayer";
+import GeofencePanel from "./GeofencePanel";
+import GeofenceLayer from "./GeofenceLayer";
+import Notifications from "./Notifications";
+import FreshnessSettings from "./FreshnessSettings";
+import AutoTrackingSettings from "./AutoTrackingSettings";
+import TrackerMarkers from "./TrackerMarkers";
+import ConnectionStatus from "./ConnectionStatus";
+import ImportPanel from "./ImportPanel";
+import ImportLayer from "./ImportLayer";
+import TrackerFormDialog from "./TrackerFormDialog";
+import TrackerListItem from "./TrackerListItem";
+import TrackerFilters from "./TrackerFilters";
+import DiagnosticsDrawer from "./DiagnosticsDrawer";
+import BulkActionsBar from "./BulkActionsBar";
+import LassoLayer from "./LassoLayer";
+import ConfirmDialog from "./ConfirmDialog";
+import UndoToast from "./UndoToast";
+import RecordingSessionBar from "./RecordingSessionBar";
+import BaseTileLayer from "./BaseTileLayer";
+import MapLayerControl from "./MapLayerControl";
+import MapViewController from "./MapViewController";
+import MapViewControls from "./MapViewControls";
+import ShareLinks from "./ShareLinks";
+
+const log = createLogger("app");
 
 // Fix for default markers in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -18,16 +81,6 @@ L.Icon.Default.mergeOptions({
 	shadowUrl: require("leaflet/dist/images/marker-shadow.png"),
 });
 
-// Custom marker icons
-const createCustomIcon = (color = "blue") => {
-	return L.divIcon({
-		className: "custom-div-icon",
-		html: `<div style="background-color:${color}; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>`,
-		iconSize: [20, 20],
-		iconAnchor: [10, 10],
-	});
-};
-
 // Component to handle map events
 function MapEvents({ onLocationClick, onLocationUpdate }) {
 	useMapEvents({
@@ -39,55 +92,282 @@ function MapEvents({ onLocationClick, onLocationUpdate }) {
 	return null;
 }
 
-const MapView = () => {
+const MapView = ({ user, onLogout, route, navigate }) => {
 	const [trackers, setTrackers] = useState([]);
-	const [selectedTracker, setSelectedTracker] = useState(null);
+	// Only the id is kept so the selected tracker follows live updates
+	const [selectedTrackerId, setSelectedTrackerId] = useState(null);
 	const [currentLocation, setCurrentLocation] = useState(null);
-	const [isTracking, setIsTracking] = useState(false);
-	const [socket, setSocket] = useState(null);
-	const [watchId, setWatchId] = useState(null);
 	const [error, setError] = useState(null);
 	const [loading, setLoading] = useState(false);
+	const [trackersLoaded, setTrackersLoaded] = useState(false);
 	const [locationStatus, setLocationStatus] = useState("Getting location...");
 	const [locationAnalysis, setLocationAnalysis] = useState(null);
+	const [trackerForm, setTrackerForm] = useState(null);
+	const [filters, setFilters] = useState(DEFAULT_FILTERS);
+	const [showDiagnostics, setShowDiagnostics] = useState(false);
+	const [lassoActive, setLassoActive] = useState(false);
+	const [bulkBusy, setBulkBusy] = useState(false);
+	const [moveMode, setMoveMode] = useState(false);
+	// null, "me" or "tracker"
+	const [followMode, setFollowMode] = useState(null);
+	// Trackers hidden while their delete can still be undone
+	const [pendingDeleteIds, setPendingDeleteIds] = useState(() => new Set());
 
 	const mapRef = useRef();
+	const playback = useHistoryPlayback();
+	const trips = useTrips(playback.points);
+	const multiSelect = useMultiSelect();
+	const undoQueue = useUndoQueue();
+	const confirmDialog = useConfirm();
+	const mapLayers = useMapLayers();
+	const mapView = useMapView();
+	const trackerTrails = useTrackerTrails();
+	const { addPoint: addTrailPoint } = trackerTrails;
+	const notifications = useNotifications();
+	const { notify } = notifications;
+	const handleGeofenceEvents = useCallback(
+		(events) =>
+			events.forEach((event) =>
+				notify({
+					tone: event.type === "enter" ? "success" : "warning",
+					trackerId: event.subjectId,
+					message: `${event.type === "enter" ? "entered" : "left"} ${
+						event.geofenceName
+					}`,
+				})
+			),
+		[notify]
+	);
+	const geofences = useGeofences({ onEvents: handleGeofenceEvents });
+	const { checkPosition: checkGeofences } = geofences;
 
-	// Initialize socket connection
-	useEffect(() => {
-		const newSocket = io(
-			process.env.REACT_APP_API_URL || "http://localhost:3000"
-		);
-		setSocket(newSocket);
+	// Apply a batch of live (or backfilled) updates, oldest first
+	const applyTrackerUpdates = useCallback(
+		(updates) => {
+			const latestByTracker = new Map();
+			updates.forEach((data) => {
+				addTrailPoint(data.trackerId, data.location, data.timestamp);
+				checkGeofences(data.trackerId, data.location);
+				latestByTracker.set(data.trackerId, data);
+			});
 
-		newSocket.on("update", (data) => {
-			console.log("Received update:", data);
 			setTrackers((prev) =>
-				prev.map((tracker) =>
-					tracker.trackerId === data.trackerId
-						? {
-								...tracker,
-								currentLocation: {
-									type: "Point",
-									coordinates: [data.location.lng, data.location.lat],
-								},
-								lastUpdatedAt: data.timestamp,
-						  }
-						: tracker
-				)
+				prev.map((tracker) => {
+					const data = latestByTracker.get(tracker.trackerId);
+					// Backfilled updates must not overwrite a newer position
+					if (
+						!data ||
+						(tracker.lastUpdatedAt &&
+							new Date(tracker.lastUpdatedAt) > new Date(data.timestamp))
+					) {
+						return tracker;
+					}
+					return {
+						...tracker,
+						currentLocation: {
+							type: "Point",
+							coordinates: [data.location.lng, data.location.lat],
+						},
+						lastUpdatedAt: data.timestamp,
+					};
+				})
 			);
+		},
+		[addTrailPoint, checkGeofences]
+	);
+
+	const trackerSocket = useTrackerSocket(applyTrackerUpdates);
+	const updateQueue = useOfflineQueue(trackerSocket.socket);
+	const trackImport = useTrackImport();
+	const sendRules = useSendRules();
+	const fixFilter = useFixFilter();
+	const now = useNow();
+
+	const selectedTracker = useMemo(
+		() =>
+			trackers.find((tracker) => tracker.trackerId === selectedTrackerId) ||
+			null,
+		[trackers, selectedTrackerId]
+	);
+
+	// Drop the selection once its tracker is gone, e.g. deleted elsewhere
+	useEffect(() => {
+		if (selectedTrackerId && !selectedTracker) setSelectedTrackerId(null);
+	}, [selectedTrackerId, selectedTracker]);
+
+	// Trackers with a delete waiting on the undo toast are left out everywhere
+	const liveTrackers = useMemo(
+		() =>
+			pendingDeleteIds.size === 0
+				? trackers
+				: trackers.filter(
+						(tracker) => !pendingDeleteIds.has(tracker.trackerId)
+				  ),
+		[trackers, pendingDeleteIds]
+	);
+
+	// The sidebar list and the map markers share the same filtered list
+	const visibleTrackers = useMemo(
+		() =>
+			sortTrackers(
+				filterTrackers(liveTrackers, filters, now),
+				filters.sortBy,
+				currentLocation
+			),
+		[liveTrackers, filters, now, currentLocation]
+	);
+	const trackerGroups = useMemo(
+		() => groupTrackers(visibleTrackers, filters.groupBy),
+		[visibleTrackers, filters.groupBy]
+	);
+	const trackerStatuses = useMemo(
+		() =>
+			[...new Set(liveTrackers.map((tracker) => tracker.currentStatus))]
+				.filter(Boolean)
+				.sort(),
+		[liveTrackers]
+	);
+	const handleTrackerOffline = useCallback(
+		(tracker) =>
+			notify({
+				tone: "danger",
+				trackerId: tracker.trackerId,
+				message: "went offline",
+			}),
+		[notify]
+	);
+	const staleness = useStaleness(liveTrackers, now, handleTrackerOffline);
+	const freshnessCounts = useMemo(() => {
+		const counts = {};
+		staleness.freshness.forEach((level) => {
+			counts[level] = (counts[level] || 0) + 1;
 		});
+		return counts;
+	}, [staleness.freshness]);
 
-		return () => {
-			newSocket.close();
-		};
-	}, []);
+	const subscriptions = useSubscriptions({
+		syncSubscriptions: trackerSocket.syncSubscriptions,
+		visibleTrackerIds: visibleTrackers.map((tracker) => tracker.trackerId),
+		selectedTrackerId: selectedTracker?.trackerId,
+	});
 
 	// Load trackers on component mount
 	useEffect(() => {
 		loadTrackers();
 	}, []);
 
+	// History range from a deep link, loaded once its tracker is selected and
+	// kept until the request settles so the address bar isn't rewritten first
+	const pendingHistoryRef = useRef(null);
+	const { clear: clearHistory, load: loadHistory } = playback;
+	const loadHistoryRange = useCallback(
+		(trackerId, range) =>
+			loadHistory(trackerId, range).catch((err) => {
+				setError(describeError("Failed to load tracker history", err));
+				log.error("Error loading tracker history:", err);
+			}),
+		[loadHistory]
+	);
+
+	// Apply the address bar on load and on back/forward: /trackers/:trackerId
+	// selects and follows the tracker, otherwise the last selection is restored
+	const handledRouteRef = useRef(null);
+	const initialSelectionId = mapView.initial.selectedTrackerId;
+	useEffect(() => {
+		if (!trackersLoaded || route === handledRouteRef.current) return;
+		const firstRoute = handledRouteRef.current === null;
+		handledRouteRef.current = route;
+		// Routes pushed by the selection sync below are already applied
+		if (!firstRoute && route.source === "push") return;
+
+		if (!route.trackerId) {
+			if (firstRoute) {
+				const restored = trackers.find(
+					(tracker) => tracker.trackerId === initialSelectionId
+				);
+				if (restored) {
+					setSelectedTrackerId((prev) => prev || restored.trackerId);
+				}
+			} else {
+				setSelectedTrackerId(null);
+			}
+			return;
+		}
+
+		const tracker = trackers.find((item) => item.trackerId === route.trackerId);
+		if (!tracker) {
+			setError(`Tracker ${route.trackerId} was not found`);
+			return;
+		}
+		setFollowMode("tracker");
+		const position = toLatLng(tracker.currentLocation);
+		if (position && mapRef.current) {
+			mapRef.current.setView(
+				[position.lat, position.lng],
+				Math.max(mapRef.current.getZoom(), 15)
+			);
+		}
+		if (selectedTracker?.trackerId === tracker.trackerId) {
+			if (route.range) loadHistoryRange(tracker.trackerId, route.range);
+			return;
+		}
+		pendingHistoryRef.current = route.range
+			? { trackerId: tracker.trackerId, range: route.range }
+			: null;
+		setSelectedTrackerId(tracker.trackerId);
+	}, [
+		route,
+		trackersLoaded,
+		trackers,
+		selectedTracker?.trackerId,
+		initialSelectionId,
+		loadHistoryRange,
+	]);
+
+	const { saveSelection } = mapView;
+	useEffect(() => {
+		saveSelection(selectedTracker?.trackerId || null);
+	}, [selectedTracker?.trackerId, saveSelection]);
+
+	// Drop the loaded history when a different tracker is selected
+	useEffect(() => {
+		clearHistory();
+		const pending = pendingHistoryRef.current;
+		if (
+			pending &&
+			!pending.started &&
+			pending.trackerId === selectedTracker?.trackerId
+		) {
+			pending.started = true;
+			loadHistoryRange(pending.trackerId, pending.range).finally(() => {
+				if (pendingHistoryRef.current === pending) {
+					pendingHistoryRef.current = null;
+				}
+			});
+		}
+	}, [selectedTracker?.trackerId, clearHistory, loadHistoryRange]);
+
+	// Keep the address bar on the selected tracker and its loaded history, so
+	// the URL can be shared; switching trackers adds a history entry
+	const historyRange =
+		playback.trackerId && playback.trackerId === selectedTrackerId
+			? playback.range
+			: null;
+	const lastRouteTrackerRef = useRef(undefined);
+	useEffect(() => {
+		if (handledRouteRef.current === null) return;
+		// The first sync only normalizes the address the app was opened with
+		const replace =
+			lastRouteTrackerRef.current === undefined ||
+			lastRouteTrackerRef.current === selectedTrackerId;
+		lastRouteTrackerRef.current = selectedTrackerId;
+		// The address already has the range that is still loading
+		if (pendingHistoryRef.current?.trackerId === selectedTrackerId) return;
+		navigate(buildPath({ trackerId: selectedTrackerId, range: historyRange }), {
+			replace,
+		});
+	}, [selectedTrackerId, historyRange, navigate]);
+
 	// Check geolocation support and request permission
 	useEffect(() => {
 		const initializeLocation = async () => {
@@ -98,7 +378,7 @@ const MapView = () => {
 					"Geolocation supported. Click 'Request Location' to enable."
 				);
 			} catch (err) {
-				console.error("Geolocation support check failed:", err);
+				log.error("Geolocation support check failed:", err);
 				setError(err.message);
 				setLocationStatus("Geolocation not supported or requires HTTPS");
 			}
@@ -114,6 +394,10 @@ const MapView = () => {
 
 			const position = await geolocationAPI.requestLocationPermission();
 			setCurrentLocation(position);
+			// MapContainer only reads its center on mount, so move the map here
+			if (mapRef.current) {
+				mapRef.current.setView([position.lat, position.lng], 15);
+			}
 
 			// Analyze location accuracy
 			const analysis = geolocationAPI.analyzeLocationAccuracy(position);
@@ -125,7 +409,7 @@ const MapView = () => {
 				)}m)`
 			);
 		} catch (err) {
-			console.error("Error getting current location:", err);
+			log.error("Error getting current location:", err);
 			setError(err.message);
 			setLocationStatus("Location access denied");
 		}
@@ -160,7 +444,7 @@ const MapView = () => {
 				} accuracy: ${Math.round(result.accuracy)}m)`
 			);
 		} catch (err) {
-			console.error("Error getting multiple readings:", err);
+			log.error("Error getting multiple readings:", err);
 			setError(err.message);
 			setLocationStatus("Multiple readings failed");
 		}
@@ -172,136 +456,568 @@ const MapView = () => {
 			const data = await trackerAPI.getAllTrackers();
 			setTrackers(data);
 		} catch (err) {
-			setError("Failed to load trackers");
-			console.error("Error loading trackers:", err);
+			setError(describeError("Failed to load trackers", err));
+			log.error("Error loading trackers:", err);
 		} finally {
 			setLoading(false);
+			setTrackersLoaded(true);
 		}
 	};
 
-	const createTracker = async (location) => {
-		try {
-			const trackerId = `tracker_${Date.now()}`;
-			const trackerData = {
-				trackerId,
-				name: `My Tracker ${new Date().toLocaleTimeString()}`,
-				visibility: "private",
-			};
+	// Create a tracker from the form and send its initial location, if any
+	const createTracker = async (trackerData, location) => {
+		const newTracker = await trackerAPI.createTracker(trackerData);
+		let tracker = { ...trackerData, ...newTracker };
 
-			const newTracker = await trackerAPI.createTracker(trackerData);
+		if (location) {
+			try {
+				await trackerAPI.updateTracker(
+					tracker.trackerId,
+					buildLocationUpdate(location)
+				);
+				tracker = {
+					...tracker,
+					currentLocation: {
+						type: "Point",
+						coordinates: [location.lng, location.lat],
+					},
+					lastUpdatedAt: new Date().toISOString(),
+				};
+			} catch (err) {
+				setError(
+					describeError(
+						"Tracker created, but its initial location could not be sent",
+						err
+					)
+				);
+				log.error("Error sending initial location:", err);
+			}
+		}
 
-			// Send initial location update
-			await trackerAPI.updateTracker(trackerId, {
-				location: { lat: location.lat, lng: location.lng },
-				status: "active",
-				meta: { source: "manual" },
-			});
+		// Selecting the tracker subscribes to its updates
+		setTrackers((prev) => [...prev, tracker]);
+		setSelectedTrackerId(tracker.trackerId);
+	};
 
-			setTrackers((prev) => [...prev, newTracker]);
-			setSelectedTracker(newTracker);
+	const saveTrackerDetails = async (trackerId, changes) => {
+		const updated = await trackerAPI.editTracker(trackerId, changes);
+		const merge = (tracker) =>
+			tracker.trackerId === trackerId
+				? { ...tracker, ...changes, ...updated }
+				: tracker;
+		setTrackers((prev) => prev.map(merge));
+	};
 
-			// Subscribe to updates for this tracker
-			if (socket) {
-				socket.emit("subscribe", { trackerId });
-			}
+	const renameTracker = async (trackerId, name) => {
+		try {
+			await saveTrackerDetails(trackerId, { name });
 		} catch (err) {
-			setError("Failed to create tracker");
-			console.error("Error creating tracker:", err);
+			setError(describeError("Failed to rename tracker", err));
+			log.error("Error renaming tracker:", err);
 		}
 	};
 
+	const submitTrackerForm = async (trackerData) => {
+		if (trackerForm.mode === "edit") {
+			await saveTrackerDetails(trackerForm.tracker.trackerId, trackerData);
+		} else {
+			await createTracker(trackerData, trackerForm.location);
+		}
+		setTrackerForm(null);
+	};
+
 	const updateTrackerLocation = async (trackerId, location) => {
 		try {
-			await trackerAPI.updateTracker(trackerId, {
-				location: { lat: location.lat, lng: location.lng },
-				status: "active",
-				meta: { source: "manual", timestamp: new Date().toISOString() },
-			});
+			await trackerAPI.updateTracker(trackerId, buildLocationUpdate(location));
+			return true;
 		} catch (err) {
-			setError("Failed to update tracker location");
-			console.error("Error updating tracker:", err);
+			setError(describeError("Failed to update tracker location", err));
+			log.error("Error updating tracker:", err);
+			return false;
 		}
 	};
 
-	const startAutoTracking = () => {
-		if (watchId) return; // Already tracking
+	// Move the marker right away but only send the location once the undo
+	// window has passed
+	const moveTracker = (tracker, location) => {
+		const movedAt = new Date().toISOString();
+		const setTrackerLocation = (fields) => {
+			const apply = (item) =>
+				item.trackerId === tracker.trackerId ? { ...item, ...fields } : item;
+			setTrackers((prev) => prev.map(apply));
+		};
+		// Put the marker back unless a live update has moved it since
+		const restore = () => {
+			const revert = (item) =>
+				item.trackerId === tracker.trackerId && item.lastUpdatedAt === movedAt
+					? {
+							...item,
+							currentLocation: tracker.currentLocation,
+							lastUpdatedAt: tracker.lastUpdatedAt,
+					  }
+					: item;
+			setTrackers((prev) => prev.map(revert));
+		};
 
-		setLocationStatus("Starting auto-tracking...");
-		const newWatchId = geolocationAPI.watchPosition(
-			(position) => {
-				if (selectedTracker) {
-					updateTrackerLocation(selectedTracker.trackerId, position);
-					const accuracyText =
-						position.accuracy < 10
-							? "Very High"
-							: position.accuracy < 50
-							? "High"
-							: position.accuracy < 100
-							? "Medium"
-							: "Low";
-					setLocationStatus(
-						`Auto-tracking active (${accuracyText} accuracy: ${Math.round(
-							position.accuracy
-						)}m)`
-					);
-				}
+		setTrackerLocation({
+			currentLocation: {
+				type: "Point",
+				coordinates: [location.lng, location.lat],
 			},
-			(error) => {
-				console.error("Geolocation error:", error);
-				setError(
-					error.message ||
-						"Location tracking failed. Please check your location permissions."
-				);
-				setLocationStatus("Auto-tracking failed");
+			lastUpdatedAt: movedAt,
+		});
+		undoQueue.schedule({
+			message: `Moved ${tracker.name || tracker.trackerId}`,
+			undo: restore,
+			commit: async () => {
+				const sent = await updateTrackerLocation(tracker.trackerId, location);
+				if (!sent) restore();
+			},
+		});
+	};
+
+	// Auto-tracking updates are queued while offline instead of being dropped
+	const sendTrackedLocation = async (trackerId, position) => {
+		try {
+			await updateQueue.send(
+				trackerId,
+				buildLocationUpdate(position),
+				position.timestamp
+			);
+		} catch (err) {
+			setError(describeError("Failed to update tracker location", err));
+			log.error("Error updating tracker:", err);
+		}
+	};
+
+	// Fixes go to the tracker the session was started for, not the selection
+	const handleRecordedFix = (trackerId, position) => {
+		setCurrentLocation(position);
+		// Fixes that don't pass the sending rules are dropped to save battery
+		const decision = sendRules.evaluate(position);
+		if (decision.send) {
+			sendTrackedLocation(trackerId, position);
+		}
+		if (decision.reason !== "accuracy") {
+			checkGeofences(trackerId, position);
+		}
+		const accuracyText =
+			position.accuracy < 10
+				? "Very High"
+				: position.accuracy < 50
+				? "High"
+				: position.accuracy < 100
+				? "Medium"
+				: "Low";
+		setLocationStatus(
+			`Auto-tracking active (${accuracyText} accuracy: ${Math.round(
+				position.accuracy
+			)}m)`
+		);
+		return decision;
+	};
+
+	const handleRecordingError = (error) => {
+		log.error("Geolocation error:", error);
+		setError(
+			error.message ||
+				"Location tracking failed. Please check your location permissions."
+		);
+		setLocationStatus("Auto-tracking failed");
+	};
+
+	const handleRecordingGap = (trackerId, gap) => {
+		notify({
+			tone: "warning",
+			trackerId,
+			message: `got no GPS fixes for ${formatDuration(gap.to - gap.from)}${
+				gap.background ? " while the app was in the background" : ""
+			}`,
+		});
+	};
+
+	const recording = useRecordingSession({
+		onFix: handleRecordedFix,
+		onError: handleRecordingError,
+		onGap: handleRecordingGap,
+	});
+	// Keeping the screen on stops the OS from suspending the GPS watch
+	const wakeLock = useWakeLock(recording.recording);
+
+	// Following yourself needs live positions even when not recording
+	useEffect(() => {
+		if (followMode !== "me" || recording.recording) return;
+		const followWatchId = geolocationAPI.watchPosition(
+			setCurrentLocation,
+			(err) => {
+				setError(err.message);
+				setFollowMode(null);
 			}
 		);
+		return () => {
+			if (followWatchId !== null) geolocationAPI.clearWatch(followWatchId);
+		};
+	}, [followMode, recording.recording]);
 
-		setWatchId(newWatchId);
-		setIsTracking(true);
+	const startAutoTracking = () => {
+		if (!selectedTracker || recording.recording) return;
+
+		setLocationStatus("Starting auto-tracking...");
+		sendRules.resetSession();
+		fixFilter.reset();
+		// Outliers are dropped and fixes smoothed before the send rules see them
+		recording.start(selectedTracker, fixFilter.filter);
 	};
 
 	const stopAutoTracking = () => {
-		if (watchId) {
-			geolocationAPI.clearWatch(watchId);
-			setWatchId(null);
-			setIsTracking(false);
-			setLocationStatus("Auto-tracking stopped");
-		}
+		if (!recording.recording) return;
+		recording.stop();
+		setLocationStatus("Auto-tracking stopped");
+	};
+
+	const selectRecordingTracker = () => {
+		const tracker = liveTrackers.find(
+			(item) => item.trackerId === recording.session.trackerId
+		);
+		if (tracker) setSelectedTrackerId(tracker.trackerId);
+	};
+
+	// Unmounting only clears the GPS watch; stopping first also closes and
+	// logs the recording session
+	const handleLogout = () => {
+		stopAutoTracking();
+		onLogout();
 	};
 
 	const handleLocationClick = (location) => {
-		if (selectedTracker) {
-			updateTrackerLocation(selectedTracker.trackerId, location);
+		// Map clicks belong to the lasso while it is active
+		if (lassoActive) return;
+		// Clicks build the geofence shape while one is being drawn
+		if (geofences.draft) {
+			geofences.addDraftPoint(location);
+		} else if (selectedTracker) {
+			// Relocating needs move mode, so a stray click can't move a tracker
+			if (!moveMode) return;
+			setMoveMode(false);
+			moveTracker(selectedTracker, location);
 		} else {
-			createTracker(location);
+			setTrackerForm({ mode: "create", location });
 		}
 	};
 
+	// Clicking the selected tracker again deselects it
 	const handleTrackerSelect = (tracker) => {
-		setSelectedTracker(tracker);
-		if (socket) {
-			socket.emit("subscribe", { trackerId: tracker.trackerId });
+		setMoveMode(false);
+		// Deselecting doesn't end a recording session, it stays bound to its tracker
+		if (selectedTracker?.trackerId === tracker.trackerId) {
+			setSelectedTrackerId(null);
+			return;
+		}
+		setSelectedTrackerId(tracker.trackerId);
+		if (followMode === "me") setFollowMode(null);
+		zoomToTracker(tracker);
+	};
+
+	const zoomToTracker = (tracker) => {
+		const position = toLatLng(tracker.currentLocation);
+		if (!position || !mapRef.current) return;
+		mapRef.current.setView(
+			[position.lat, position.lng],
+			Math.max(mapRef.current.getZoom(), 15)
+		);
+	};
+
+	// Drop local state that belonged to deleted trackers
+	const forgetTrackers = (trackerIds) => {
+		const deleted = new Set(trackerIds);
+		setTrackers((prev) => prev.filter((t) => !deleted.has(t.trackerId)));
+		trackerIds.forEach((trackerId) => {
+			trackerTrails.removeTrail(trackerId);
+			geofences.forgetSubject(trackerId);
+			subscriptions.forgetTracker(trackerId);
+		});
+		multiSelect.remove(trackerIds);
+	};
+
+	const setDeletePending = (trackerIds, hidden) => {
+		setPendingDeleteIds((prev) => {
+			const next = new Set(prev);
+			trackerIds.forEach((trackerId) =>
+				hidden ? next.add(trackerId) : next.delete(trackerId)
+			);
+			return next;
+		});
+	};
+
+	// Ask first, then hide the trackers and only call the API once the undo
+	// window has passed
+	const deleteTrackers = async (selection) => {
+		const count = selection.length;
+		const label =
+			count === 1
+				? selection[0].name || selection[0].trackerId
+				: `${count} trackers`;
+		const confirmed = await confirmDialog.confirm({
+			title: count === 1 ? "Delete tracker?" : `Delete ${count} trackers?`,
+			message: `${label} and ${
+				count === 1 ? "its" : "their"
+			} location history will be deleted. You can undo for a few seconds afterwards.`,
+			confirmLabel: "Delete",
+		});
+		if (!confirmed) return;
+
+		const trackerIds = selection.map((tracker) => tracker.trackerId);
+		setDeletePending(trackerIds, true);
+		if (selectedTracker && trackerIds.includes(selectedTracker.trackerId)) {
+			setSelectedTrackerId(null);
+			setMoveMode(false);
+		}
+		if (
+			recording.recording &&
+			trackerIds.includes(recording.session.trackerId)
+		) {
+			stopAutoTracking();
+		}
+
+		undoQueue.schedule({
+			message: `Deleted ${label}`,
+			undo: () => setDeletePending(trackerIds, false),
+			commit: async () => {
+				const deleted = await runBulk("delete", selection, (tracker) =>
+					trackerAPI.deleteTracker(tracker.trackerId)
+				);
+				forgetTrackers(deleted.map((tracker) => tracker.trackerId));
+				// Trackers that failed to delete come back
+				setDeletePending(trackerIds, false);
+			},
+		});
+	};
+
+	const handleDeleteTracker = (tracker) => deleteTrackers([tracker]);
+
+	const checkedTrackers = liveTrackers.filter((tracker) =>
+		multiSelect.checkedIds.has(tracker.trackerId)
+	);
+
+	// Shift-click in the sidebar checks the range from the last clicked tracker
+	const handleTrackerCheck = (trackerId, shiftKey) => {
+		if (shiftKey) {
+			multiSelect.selectRange(
+				visibleTrackers.map((tracker) => tracker.trackerId),
+				trackerId
+			);
+		} else {
+			multiSelect.toggle(trackerId);
 		}
 	};
 
-	const handleDeleteTracker = async (trackerId) => {
+	const selectTrackersInLasso = (points) => {
+		const lasso = { type: "polygon", points };
+		multiSelect.addMany(
+			visibleTrackers
+				.filter((tracker) => {
+					const position = toLatLng(tracker.currentLocation);
+					return position && isInsideGeofence(lasso, position);
+				})
+				.map((tracker) => tracker.trackerId)
+		);
+	};
+
+	const fitMapToTrackers = (selection) => {
+		const positions = selection
+			.map((tracker) => toLatLng(tracker.currentLocation))
+			.filter(Boolean)
+			.map((position) => [position.lat, position.lng]);
+		if (positions.length === 0 || !mapRef.current) return;
+		mapRef.current.fitBounds(positions, { padding: [40, 40], maxZoom: 16 });
+	};
+
+	// Run a request for each tracker and report how many failed
+	const runBulk = async (action, selection, request) => {
+		setBulkBusy(true);
+		const results = await Promise.allSettled(
+			selection.map((tracker) => request(tracker))
+		);
+		setBulkBusy(false);
+
+		const succeeded = [];
+		const failures = [];
+		results.forEach((result, index) => {
+			if (result.status === "fulfilled") {
+				succeeded.push(selection[index]);
+			} else {
+				failures.push(result.reason);
+			}
+		});
+		if (failures.length > 0) {
+			setError(
+				describeError(
+					results.length === 1
+						? `Failed to ${action} tracker`
+						: `Failed to ${action} ${failures.length} of ${results.length} trackers`,
+					failures[0]
+				)
+			);
+			log.error(`Error during bulk ${action}:`, failures[0]);
+		}
+		return succeeded;
+	};
+
+	const bulkSetStatus = async (status) => {
+		const updated = await runBulk("update", checkedTrackers, (tracker) =>
+			trackerAPI.editTracker(tracker.trackerId, { currentStatus: status })
+		);
+		const updatedIds = new Set(updated.map((tracker) => tracker.trackerId));
+		const applyStatus = (tracker) =>
+			updatedIds.has(tracker.trackerId)
+				? { ...tracker, currentStatus: status }
+				: tracker;
+		setTrackers((prev) => prev.map(applyStatus));
+	};
+
+	// One file per tracker, one after another so downloads aren't dropped
+	const bulkExport = async (format) => {
+		for (const tracker of checkedTrackers) {
+			await exportTrackerHistory(tracker, format);
+		}
+	};
+
+	const loadTrackerHistory = async (range) => {
+		if (!selectedTracker) return;
+		try {
+			await playback.load(selectedTracker.trackerId, range);
+		} catch (err) {
+			setError(describeError("Failed to load tracker history", err));
+			log.error("Error loading tracker history:", err);
+		}
+	};
+
+	// Highlight a trip, move the playhead to its start and zoom to it
+	const selectTrip = (trip) => {
+		trips.setSelectedTripId(trip ? trip.id : null);
+		if (!trip) return;
+
+		playback.pause();
+		playback.seek(trip.startTime);
+		if (mapRef.current) {
+			const tripPoints = playback.points.slice(
+				trip.startIndex,
+				trip.endIndex + 1
+			);
+			mapRef.current.fitBounds(
+				tripPoints.map((point) => [point.lat, point.lng]),
+				{ padding: [40, 40] }
+			);
+		}
+	};
+
+	const exportTrips = (tracker) => {
+		try {
+			const date = new Date().toISOString().slice(0, 10);
+			downloadFile(
+				tripsToCSV(trips.trips, geofences.geofences),
+				"text/csv",
+				`${tracker.trackerId}-trips-${date}.csv`
+			);
+		} catch (err) {
+			setError("Failed to export trips");
+			log.error("Error exporting trips:", err);
+		}
+	};
+
+	const exportHistoryPoints = (tracker, points, format) => {
 		try {
-			await trackerAPI.deleteTracker(trackerId);
-			setTrackers((prev) => prev.filter((t) => t.trackerId !== trackerId));
-			if (selectedTracker && selectedTracker.trackerId === trackerId) {
-				setSelectedTracker(null);
-				stopAutoTracking();
+			downloadTrack(tracker, points, format);
+		} catch (err) {
+			setError(describeError("Failed to export tracker history", err));
+			log.error("Error exporting tracker history:", err);
+		}
+	};
+
+	// Export the full history returned by the server for a sidebar entry
+	const exportTrackerHistory = async (tracker, format) => {
+		try {
+			const data = await trackerAPI.getTrackerHistory(tracker.trackerId);
+			const points = normalizeHistory(data);
+			if (points.length === 0) {
+				setError("No history to export for this tracker");
+				return;
+			}
+			downloadTrack(tracker, points, format);
+		} catch (err) {
+			setError(describeError("Failed to export tracker history", err));
+			log.error("Error exporting tracker history:", err);
+		}
+	};
+
+	const loadImportFile = async (file) => {
+		try {
+			setError(null);
+			const { skipped } = await trackImport.loadFile(file);
+			skipped.forEach(({ feature, reason }) =>
+				log.warn(`Skipping part of ${file.name}: ${reason}`, { feature })
+			);
+		} catch (err) {
+			setError(err.message || "Failed to read track file");
+			log.error("Error reading track file:", err);
+		}
+	};
+
+	const importTrack = async (target) => {
+		try {
+			const result = await trackImport.upload(target);
+			// Keep the preview and progress visible if the upload was cancelled
+			if (result && result.sent === result.total) {
+				trackImport.clear();
 			}
 		} catch (err) {
-			setError("Failed to delete tracker");
-			console.error("Error deleting tracker:", err);
+			setError(describeError("Failed to import track", err));
+			log.error("Error importing track:", err);
 		}
+		loadTrackers();
 	};
 
-	const center = currentLocation
-		? [currentLocation.lat, currentLocation.lng]
-		: [0, 0];
-	const zoom = currentLocation ? 15 : 2;
+	const renderTrackerItem = (tracker) => (
+		<TrackerListItem
+			key={tracker.trackerId}
+			tracker={tracker}
+			selected={selectedTracker?.trackerId === tracker.trackerId}
+			checked={multiSelect.checkedIds.has(tracker.trackerId)}
+			onCheck={(shiftKey) => handleTrackerCheck(tracker.trackerId, shiftKey)}
+			freshness={staleness.freshness.get(tracker.trackerId)}
+			now={now}
+			trailVisible={trackerTrails.isTrailVisible(tracker.trackerId)}
+			onToggleTrail={() => trackerTrails.toggleTrail(tracker.trackerId)}
+			watchChecked={
+				subscriptions.mode === "manual"
+					? subscriptions.watchedIds.has(tracker.trackerId)
+					: trackerSocket.subscribedIds.has(tracker.trackerId)
+			}
+			watchDisabled={subscriptions.mode !== "manual"}
+			subscribed={trackerSocket.subscribedIds.has(tracker.trackerId)}
+			onToggleWatch={() => subscriptions.toggleWatch(tracker.trackerId)}
+			onSelect={() => handleTrackerSelect(tracker)}
+			onDelete={() => handleDeleteTracker(tracker)}
+			onExport={(format) => exportTrackerHistory(tracker, format)}
+			onEdit={() => setTrackerForm({ mode: "edit", tracker })}
+			onRename={(name) => renameTracker(tracker.trackerId, name)}
+		/>
+	);
+
+	const getTrackerName = (trackerId) => {
+		const tracker = trackers.find((t) => t.trackerId === trackerId);
+		return tracker?.name || trackerId;
+	};
+
+	// Following the tracker pauses while nothing is selected
+	const activeFollowMode =
+		followMode === "tracker" && !selectedTracker ? null : followMode;
+	const followPosition =
+		activeFollowMode === "me"
+			? currentLocation
+			: activeFollowMode === "tracker"
+			? toLatLng(selectedTracker.currentLocation)
+			: null;
 
 	return (
 		<div style={{ height: "100vh", display: "flex", flexDirection: "column" }}>
@@ -317,10 +1033,22 @@ const MapView = () => {
 				}}
 			>
 				<div>
-					<h1 style={{ margin: 0, fontSize: "1.5rem" }}>Node Tracker</h1>
+					<h1 style={{ margin: 0, fontSize: "1.5rem" }}>
+						Node Tracker
+						<ConnectionStatus status={trackerSocket.status} />
+					</h1>
 					<div style={{ fontSize: "0.8rem", color: "#666", marginTop: "2px" }}>
 						📍 {locationStatus}
 					</div>
+					{updateQueue.pendingCount > 0 && (
+						<div
+							style={{ fontSize: "0.8rem", color: "#856404", marginTop: "2px" }}
+						>
+							⏳ {updateQueue.pendingCount} location update
+							{updateQueue.pendingCount === 1 ? "" : "s"} pending
+							{updateQueue.flushing ? " (sending...)" : ""}
+						</div>
+					)}
 				</div>
 				<div>
 					{!currentLocation && (
@@ -356,20 +1084,46 @@ const MapView = () => {
 							🎯 Multiple Readings (Better Accuracy)
 						</button>
 					)}
+					{(selectedTracker || recording.recording) && (
+						<button
+							onClick={
+								recording.recording ? stopAutoTracking : startAutoTracking
+							}
+							title={
+								recording.recording
+									? undefined
+									: `Record your GPS position onto ${
+											selectedTracker.name || selectedTracker.trackerId
+									  }`
+							}
+							style={{
+								padding: "8px 16px",
+								marginRight: "10px",
+								backgroundColor: recording.recording ? "#dc3545" : "#28a745",
+								color: "white",
+								border: "none",
+								borderRadius: "4px",
+								cursor: "pointer",
+							}}
+						>
+							{recording.recording ? "Stop Recording" : "Start Recording"}
+						</button>
+					)}
 					{selectedTracker && (
 						<button
-							onClick={isTracking ? stopAutoTracking : startAutoTracking}
+							onClick={() => setMoveMode((prev) => !prev)}
+							title="Click the map to move the selected tracker there"
 							style={{
 								padding: "8px 16px",
 								marginRight: "10px",
-								backgroundColor: isTracking ? "#dc3545" : "#28a745",
+								backgroundColor: moveMode ? "#fd7e14" : "#6c757d",
 								color: "white",
 								border: "none",
 								borderRadius: "4px",
 								cursor: "pointer",
 							}}
 						>
-							{isTracking ? "Stop Tracking" : "Start Auto Tracking"}
+							{moveMode ? "✋ Cancel Move" : "✋ Move Tracker"}
 						</button>
 					)}
 					{currentLocation && (
@@ -425,9 +1179,59 @@ const MapView = () => {
 					>
 						Refresh Trackers
 					</button>
+					<button
+						onClick={() => setShowDiagnostics((prev) => !prev)}
+						title="Recent fixes, API calls and socket events"
+						style={{
+							padding: "8px 16px",
+							marginLeft: "10px",
+							backgroundColor: "#343a40",
+							color: "white",
+							border: "none",
+							borderRadius: "4px",
+							cursor: "pointer",
+						}}
+					>
+						🩺 Diagnostics
+					</button>
+					<span
+						style={{ marginLeft: "10px", fontSize: "0.85rem", color: "#666" }}
+					>
+						{user?.name || user?.username}
+					</span>
+					<button
+						onClick={handleLogout}
+						style={{
+							padding: "8px 16px",
+							marginLeft: "10px",
+							backgroundColor: "#6c757d",
+							color: "white",
+							border: "none",
+							borderRadius: "4px",
+							cursor: "pointer",
+						}}
+					>
+						Log out
+					</button>
 				</div>
 			</div>
 
+			{/* Recording session, shown regardless of the selection */}
+			<RecordingSessionBar
+				session={recording.session}
+				recording={recording.recording}
+				trackerName={
+					trackers.find(
+						(tracker) => tracker.trackerId === recording.session?.trackerId
+					)?.name || recording.session?.trackerName
+				}
+				selectedTrackerId={selectedTracker?.trackerId}
+				wakeLock={wakeLock}
+				onStop={stopAutoTracking}
+				onSelect={selectRecordingTracker}
+				onDismiss={recording.dismiss}
+			/>
+
 			{/* Error Display */}
 			{error && (
 				<div
@@ -544,69 +1348,164 @@ const MapView = () => {
 						overflowY: "auto",
 					}}
 				>
-					<h3>Trackers ({trackers.length})</h3>
-					{loading && <p>Loading...</p>}
-					{trackers.map((tracker) => (
-						<div
-							key={tracker.trackerId}
+					{selectedTracker && (
+						<ShareLinks tracker={selectedTracker} historyRange={historyRange} />
+					)}
+					{selectedTracker && (
+						<HistoryPanel
+							tracker={selectedTracker}
+							playback={playback}
+							onLoad={loadTrackerHistory}
+							onExport={(points, format) =>
+								exportHistoryPoints(selectedTracker, points, format)
+							}
+						/>
+					)}
+					{selectedTracker &&
+						playback.trackerId === selectedTracker.trackerId &&
+						playback.points.length > 0 && (
+							<TripPanel
+								trips={trips.trips}
+								stops={trips.stops}
+								selectedTrip={trips.selectedTrip}
+								geofences={geofences.geofences}
+								onSelect={selectTrip}
+								onExport={() => exportTrips(selectedTracker)}
+							/>
+						)}
+					<GeofencePanel
+						geofences={geofences}
+						getTrackerName={getTrackerName}
+					/>
+					{selectedTracker && (
+						<AutoTrackingSettings
+							sendRules={sendRules}
+							fixFilter={fixFilter}
+							isTracking={recording.recording}
+						/>
+					)}
+					<FreshnessSettings staleness={staleness} counts={freshnessCounts} />
+					<ImportPanel
+						trackImport={trackImport}
+						trackers={liveTrackers}
+						onFileSelected={loadImportFile}
+						onImport={importTrack}
+					/>
+					<h3
+						style={{
+							display: "flex",
+							justifyContent: "space-between",
+							alignItems: "center",
+						}}
+					>
+						Trackers ({liveTrackers.length})
+						<button
+							onClick={() =>
+								setTrackerForm({ mode: "create", location: currentLocation })
+							}
 							style={{
-								padding: "10px",
-								margin: "5px 0",
-								backgroundColor:
-									selectedTracker?.trackerId === tracker.trackerId
-										? "#e3f2fd"
-										: "white",
-								border: "1px solid #dee2e6",
-								borderRadius: "4px",
+								padding: "4px 8px",
+								backgroundColor: "#28a745",
+								color: "white",
+								border: "none",
+								borderRadius: "3px",
 								cursor: "pointer",
+								fontSize: "0.8rem",
 							}}
-							onClick={() => handleTrackerSelect(tracker)}
 						>
-							<div style={{ fontWeight: "bold" }}>
-								{tracker.name || tracker.trackerId}
-							</div>
-							<div style={{ fontSize: "0.9rem", color: "#666" }}>
-								Status: {tracker.currentStatus}
-							</div>
-							<div style={{ fontSize: "0.8rem", color: "#999" }}>
-								Last update:{" "}
-								{tracker.lastUpdatedAt
-									? new Date(tracker.lastUpdatedAt).toLocaleString()
-									: "Never"}
-							</div>
-							<button
-								onClick={(e) => {
-									e.stopPropagation();
-									handleDeleteTracker(tracker.trackerId);
-								}}
-								style={{
-									marginTop: "5px",
-									padding: "4px 8px",
-									backgroundColor: "#dc3545",
-									color: "white",
-									border: "none",
-									borderRadius: "3px",
-									cursor: "pointer",
-									fontSize: "0.8rem",
-								}}
-							>
-								Delete
-							</button>
+							+ Add Tracker
+						</button>
+					</h3>
+					<label
+						style={{ display: "block", fontSize: "0.85rem", color: "#666" }}
+					>
+						Live updates:{" "}
+						<select
+							value={subscriptions.mode}
+							onChange={(e) => subscriptions.setMode(e.target.value)}
+						>
+							{WATCH_MODES.map((mode) => (
+								<option key={mode.value} value={mode.value}>
+									{mode.label}
+								</option>
+							))}
+						</select>{" "}
+						({trackerSocket.subscribedIds.size} watched)
+					</label>
+					{loading && <p>Loading...</p>}
+					<TrackerFilters
+						filters={filters}
+						onChange={setFilters}
+						statuses={trackerStatuses}
+						shownCount={visibleTrackers.length}
+						totalCount={liveTrackers.length}
+					/>
+					<BulkActionsBar
+						count={checkedTrackers.length}
+						statuses={trackerStatuses}
+						busy={bulkBusy}
+						lassoActive={lassoActive}
+						onToggleLasso={() => setLassoActive((prev) => !prev)}
+						onSelectAll={() =>
+							multiSelect.setAll(
+								visibleTrackers.map((tracker) => tracker.trackerId)
+							)
+						}
+						onClear={multiSelect.clear}
+						onFit={() => fitMapToTrackers(checkedTrackers)}
+						onExport={bulkExport}
+						onSetStatus={bulkSetStatus}
+						onDelete={() => deleteTrackers(checkedTrackers)}
+					/>
+					{trackerGroups.map((group) => (
+						<div key={group.key}>
+							{group.label && (
+								<div
+									style={{
+										marginTop: "10px",
+										fontSize: "0.85rem",
+										fontWeight: "bold",
+										color: "#495057",
+									}}
+								>
+									🏷️ {group.label} ({group.trackers.length})
+								</div>
+							)}
+							{group.trackers.map(renderTrackerItem)}
 						</div>
 					))}
+					{visibleTrackers.length === 0 && liveTrackers.length > 0 && (
+						<p style={{ color: "#999", fontSize: "0.9rem" }}>
+							No trackers match the current filters
+						</p>
+					)}
 				</div>
 
 				{/* Map */}
 				<div style={{ flex: 1 }}>
 					<MapContainer
-						center={center}
-						zoom={zoom}
+						center={mapView.initial.center}
+						zoom={mapView.initial.zoom}
 						style={{ height: "100%", width: "100%" }}
 						ref={mapRef}
 					>
-						<TileLayer
-							attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-							url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+						{mapLayers.baseLayer && (
+							<BaseTileLayer
+								key={mapLayers.baseLayer.id}
+								layer={mapLayers.baseLayer}
+							/>
+						)}
+						<MapLayerControl mapLayers={mapLayers} />
+						<MapViewControls
+							followMode={activeFollowMode}
+							canFollowTracker={Boolean(selectedTracker)}
+							onFollowChange={setFollowMode}
+							onFitAll={() => fitMapToTrackers(visibleTrackers)}
+						/>
+						<MapViewController
+							followPosition={followPosition}
+							onViewChange={mapView.saveViewport}
+							onUserMove={() => setFollowMode(null)}
 						/>
 
 						<MapEvents
@@ -614,6 +1513,36 @@ const MapView = () => {
 							onLocationUpdate={updateTrackerLocation}
 						/>
 
+						{/* History track and playback marker */}
+						{playback.trackerId &&
+							playback.trackerId === selectedTracker?.trackerId && (
+								<HistoryLayer
+									playback={playback}
+									stops={trips.stops}
+									selectedTrip={trips.selectedTrip}
+								/>
+							)}
+
+						{/* Imported track preview */}
+						<ImportLayer preview={trackImport.preview} />
+
+						{/* Geofences; the draft stays visible while drawing */}
+						<GeofenceLayer
+							geofences={
+								mapLayers.overlays.geofences ? geofences.geofences : []
+							}
+							draft={geofences.draft}
+						/>
+
+						{/* Live breadcrumb trails */}
+						{mapLayers.overlays.trails && (
+							<TrailLayer
+								trails={trackerTrails.trails}
+								isTrailVisible={trackerTrails.isTrailVisible}
+								selectedTrackerId={selectedTracker?.trackerId}
+							/>
+						)}
+
 						{/* Current location marker */}
 						{currentLocation && (
 							<Marker
@@ -649,43 +1578,18 @@ const MapView = () => {
 							</Marker>
 						)}
 
-						{/* Tracker markers */}
-						{trackers.map((tracker) => {
-							if (
-								!tracker.currentLocation ||
-								!tracker.currentLocation.coordinates
-							)
-								return null;
-							const [lng, lat] = tracker.currentLocation.coordinates;
-							return (
-								<Marker
-									key={tracker.trackerId}
-									position={[lat, lng]}
-									icon={createCustomIcon(
-										selectedTracker?.trackerId === tracker.trackerId
-											? "red"
-											: "blue"
-									)}
-								>
-									<Popup>
-										<div>
-											<strong>{tracker.name || tracker.trackerId}</strong>
-											<br />
-											Status: {tracker.currentStatus}
-											<br />
-											Lat: {lat.toFixed(6)}
-											<br />
-											Lng: {lng.toFixed(6)}
-											<br />
-											Last update:{" "}
-											{tracker.lastUpdatedAt
-												? new Date(tracker.lastUpdatedAt).toLocaleString()
-												: "Never"}
-										</div>
-									</Popup>
-								</Marker>
-							);
-						})}
+						{/* Tracker markers, clustered and culled to the viewport */}
+						<TrackerMarkers
+							trackers={visibleTrackers}
+							selectedTrackerId={selectedTracker?.trackerId}
+							freshness={staleness.freshness}
+							checkedIds={multiSelect.checkedIds}
+							onShiftClick={multiSelect.toggle}
+						/>
+						<LassoLayer
+							active={lassoActive}
+							onComplete={selectTrackersInLasso}
+						/>
 					</MapContainer>
 				</div>
 			</div>
@@ -699,10 +1603,48 @@ const MapView = () => {
 					borderTop: "1px solid #dee2e6",
 				}}
 			>
-				<strong>Instructions:</strong> Click on the map to create a tracker or
-				update location. Select a tracker from the sidebar to enable
-				auto-tracking using your device's GPS.
+				<strong>Instructions:</strong> Click on the map to create a tracker.
+				Select a tracker from the sidebar to record your device's GPS onto it,
+				or turn on move mode and click the map to relocate it. Deletes and moves
+				can be undone for a few seconds.
 			</div>
+
+			<UndoToast
+				pending={undoQueue.pending}
+				onUndo={undoQueue.undo}
+				onCommit={undoQueue.commit}
+			/>
+			{confirmDialog.request && (
+				<ConfirmDialog
+					title={confirmDialog.request.title}
+					message={confirmDialog.request.message}
+					confirmLabel={confirmDialog.request.confirmLabel}
+					onConfirm={() => confirmDialog.respond(true)}
+					onCancel={() => confirmDialog.respond(false)}
+				/>
+			)}
+
+			{trackerForm && (
+				<TrackerFormDialog
+					mode={trackerForm.mode}
+					tracker={trackerForm.tracker}
+					location={trackerForm.location}
+					onSubmit={submitTrackerForm}
+					onCancel={() => setTrackerForm(null)}
+				/>
+			)}
+
+			<DiagnosticsDrawer
+				open={showDiagnostics}
+				onClose={() => setShowDiagnostics(false)}
+			/>
+
+			{/* Geofence and offline alerts */}
+			<Notifications
+				notifications={notifications.notifications}
+				getTrackerName={getTrackerName}
+				onDismiss={notifications.dismiss}
+			/>
 		</div>
 	);
 };
@@ -0,0 +1,27 @@
+import { useEffect } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+
+// Reports viewport changes and keeps the map centred on followPosition.
+// Dragging the map calls onUserMove so follow mode can be switched off.
+const MapViewController = ({ followPosition, onViewChange, onUserMove }) => {
+	const map = useMap();
+
+	useMapEvents({
+		moveend: () => {
+			const center = map.getCenter();
+			onViewChange([center.lat, center.lng], map.getZoom());
+		},
+		dragstart: onUserMove,
+	});
+
+	const lat = followPosition?.lat;
+	const lng = followPosition?.lng;
+	useEffect(() => {
+		if (lat === undefined || lng === undefined) return;
+		map.panTo([lat, lng]);
+	}, [map, lat, lng]);
+
+	return null;
+};
+
+export default MapViewController;
@@ -0,0 +1,80 @@
+import React, { useEffect, useRef } from "react";
+import L from "leaflet";
+
+const buttonStyle = (active) => ({
+	display: "block",
+	width: "100%",
+	padding: "5px 8px",
+	border: "none",
+	borderBottom: "1px solid #ccc",
+	backgroundColor: active ? "#007bff" : "white",
+	color: active ? "white" : "#333",
+	cursor: "pointer",
+	fontSize: "0.75rem",
+	textAlign: "left",
+});
+
+// Map buttons below the zoom control: fit all trackers and follow modes.
+// followMode is null, "me" or "tracker". Rendered inside MapContainer.
+const MapViewControls = ({
+	followMode,
+	canFollowTracker,
+	onFollowChange,
+	onFitAll,
+}) => {
+	const containerRef = useRef(null);
+
+	// Clicks in the control must not reach the map
+	useEffect(() => {
+		L.DomEvent.disableClickPropagation(containerRef.current);
+	}, []);
+
+	const toggleFollow = (mode) =>
+		onFollowChange(followMode === mode ? null : mode);
+
+	return (
+		<div
+			ref={containerRef}
+			style={{
+				position: "absolute",
+				top: "80px",
+				left: "10px",
+				zIndex: 1000,
+				backgroundColor: "white",
+				border: "2px solid rgba(0, 0, 0, 0.2)",
+				borderRadius: "4px",
+				overflow: "hidden",
+			}}
+		>
+			<button
+				onClick={onFitAll}
+				title="Zoom to every tracker shown"
+				style={buttonStyle(false)}
+			>
+				⤢ Fit all
+			</button>
+			<button
+				onClick={() => toggleFollow("me")}
+				title="Keep the map centred on your location"
+				style={buttonStyle(followMode === "me")}
+			>
+				🧭 Follow me
+			</button>
+			<button
+				onClick={() => toggleFollow("tracker")}
+				disabled={!canFollowTracker}
+				title="Keep the map centred on the selected tracker"
+				style={{
+					...buttonStyle(followMode === "tracker"),
+					borderBottom: "none",
+					opacity: canFollowTracker ? 1 : 0.5,
+					cursor: canFollowTracker ? "pointer" : "not-allowed",
+				}}
+			>
+				📌 Follow tracker
+			</button>
+		</div>
+	);
+};
+
+export default MapViewControls;
@@ -0,0 +1,62 @@
+import React from "react";
+
+const TONES = {
+	success: { backgroundColor: "#d4edda", color: "#155724" },
+	warning: { backgroundColor: "#fff3cd", color: "#856404" },
+	danger: { backgroundColor: "#f8d7da", color: "#721c24" },
+};
+
+// Toast stack for in-app alerts such as geofence and offline events
+const Notifications = ({ notifications, getTrackerName, onDismiss }) => {
+	if (notifications.length === 0) return null;
+
+	return (
+		<div
+			style={{
+				position: "fixed",
+				right: "20px",
+				bottom: "60px",
+				zIndex: 1000,
+				display: "flex",
+				flexDirection: "column",
+				gap: "8px",
+				maxWidth: "320px",
+			}}
+		>
+			{notifications.map((notification) => (
+				<div
+					key={notification.id}
+					style={{
+						padding: "10px 30px 10px 12px",
+						position: "relative",
+						...(TONES[notification.tone] || TONES.warning),
+						border: "1px solid rgba(0,0,0,0.1)",
+						borderRadius: "4px",
+						boxShadow: "0 2px 4px rgba(0,0,0,0.2)",
+						fontSize: "0.9rem",
+					}}
+				>
+					{notification.trackerId && (
+						<strong>{getTrackerName(notification.trackerId)} </strong>
+					)}
+					{notification.message}
+					<button
+						onClick={() => onDismiss(notification.id)}
+						style={{
+							position: "absolute",
+							top: "4px",
+							right: "6px",
+							background: "none",
+							border: "none",
+							cursor: "pointer",
+						}}
+					>
+						×
+					</button>
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default Notifications;
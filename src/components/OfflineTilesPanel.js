@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+import {
+	MAX_PRECACHE_TILES,
+	countTiles,
+	isTileCacheSupported,
+	listTiles,
+	tileCache,
+} from "../utils/tileCache";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+const DEPTH_OPTIONS = [0, 1, 2, 3, 4, 5];
+
+const buttonStyle = {
+	padding: "3px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.75rem",
+	color: "white",
+};
+
+const getView = (map) => ({ bounds: map.getBounds(), zoom: map.getZoom() });
+
+// Pre-caches the base map tiles for the visible area, from the current zoom
+// down a chosen number of levels, so crews can work without coverage
+const OfflineTilesPanel = ({ layer }) => {
+	const map = useMap();
+	const [view, setView] = useState(() => getView(map));
+	const [depth, setDepth] = useState(2);
+	const [progress, setProgress] = useState(null);
+	const [result, setResult] = useState(null);
+	const [cachedCount, setCachedCount] = useState(null);
+	const abortRef = useRef(null);
+
+	useMapEvents({
+		moveend: () => setView(getView(map)),
+	});
+
+	const refreshCount = useCallback(
+		() =>
+			tileCache
+				.count()
+				.then(setCachedCount)
+				.catch((err) => log.error("Error counting cached tiles:", err)),
+		[]
+	);
+
+	useEffect(() => {
+		refreshCount();
+		// Stop downloading when the map goes away
+		return () => abortRef.current?.abort();
+	}, [refreshCount]);
+
+	if (!isTileCacheSupported()) {
+		return (
+			<div style={{ color: "#666" }}>
+				Offline tiles need the Cache API (HTTPS).
+			</div>
+		);
+	}
+	if (!layer.cacheable) {
+		return (
+			<div style={{ color: "#666" }}>
+				{layer.name} doesn't allow offline caching.
+			</div>
+		);
+	}
+
+	const minZoom = Math.round(view.zoom);
+	const maxZoom = Math.min(minZoom + depth, layer.maxZoom);
+	const tileCount = countTiles(view.bounds, minZoom, maxZoom);
+	const tooMany = tileCount > MAX_PRECACHE_TILES;
+	const downloading = progress !== null;
+
+	const download = async () => {
+		const controller = new AbortController();
+		abortRef.current = controller;
+		setResult(null);
+		setProgress({ done: 0, total: tileCount });
+		log.info("Pre-caching tiles", {
+			layer: layer.id,
+			minZoom,
+			maxZoom,
+			tiles: tileCount,
+		});
+		try {
+			const summary = await tileCache.precache(
+				layer,
+				listTiles(view.bounds, minZoom, maxZoom),
+				{
+					signal: controller.signal,
+					onProgress: (done, total) => setProgress({ done, total }),
+				}
+			);
+			setResult({ ...summary, cancelled: controller.signal.aborted });
+		} catch (err) {
+			log.error("Error pre-caching tiles:", err);
+			setResult({ error: err.message });
+		} finally {
+			abortRef.current = null;
+			setProgress(null);
+			refreshCount();
+		}
+	};
+
+	const clear = async () => {
+		await tileCache.clear();
+		setResult(null);
+		refreshCount();
+	};
+
+	return (
+		<div>
+			<div style={{ marginBottom: "4px" }}>
+				Zoom {minZoom}
+				{" to "}
+				<select
+					value={depth}
+					disabled={downloading}
+					onChange={(e) => setDepth(Number(e.target.value))}
+					style={{ fontSize: "0.75rem" }}
+				>
+					{DEPTH_OPTIONS.map((option) => (
+						<option key={option} value={option}>
+							{Math.min(minZoom + option, layer.maxZoom)}
+						</option>
+					))}
+				</select>
+				{" · "}
+				{tileCount} tiles
+			</div>
+			{tooMany && (
+				<div style={{ color: "#856404", marginBottom: "4px" }}>
+					More than {MAX_PRECACHE_TILES} tiles; zoom in or pick a lower zoom.
+				</div>
+			)}
+			{downloading ? (
+				<div>
+					Saving {progress.done} / {progress.total}{" "}
+					<button
+						onClick={() => abortRef.current?.abort()}
+						style={{ ...buttonStyle, backgroundColor: "#6c757d" }}
+					>
+						Cancel
+					</button>
+				</div>
+			) : (
+				<button
+					onClick={download}
+					disabled={tooMany}
+					style={{
+						...buttonStyle,
+						backgroundColor: tooMany ? "#adb5bd" : "#007bff",
+						cursor: tooMany ? "not-allowed" : "pointer",
+					}}
+				>
+					Save this area
+				</button>
+			)}
+			{result && (
+				<div style={{ marginTop: "4px", color: "#666" }}>
+					{result.error
+						? `Failed: ${result.error}`
+						: `${result.cancelled ? "Cancelled: " : ""}${result.saved} saved, ${
+								result.skipped
+						  } already cached${
+								result.failed ? `, ${result.failed} failed` : ""
+						  }`}
+				</div>
+			)}
+			<div style={{ marginTop: "4px", color: "#666" }}>
+				{cachedCount ?? "…"} tiles stored{" "}
+				{cachedCount > 0 && !downloading && (
+					<button
+						onClick={clear}
+						style={{ ...buttonStyle, backgroundColor: "#dc3545" }}
+					>
+						Clear
+					</button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default OfflineTilesPanel;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { MapContainer } from "react-leaflet";
+import TrackerMarkers from "./TrackerMarkers";
+import BaseTileLayer from "./BaseTileLayer";
+import MapViewController from "./MapViewController";
+import usePublicTrackers from "../hooks/usePublicTrackers";
+import useMapLayers from "../hooks/useMapLayers";
+import useNow from "../hooks/useNow";
+import { toLatLng } from "../utils/geo";
+import { getFreshness, formatAge, FRESHNESS_STYLES } from "../utils/staleness";
+
+// Read-only map for /embed and /embed/trackers/:trackerId, e.g. a customer's
+// "where's my delivery" link. Shows public trackers only, with no sign-in,
+// sidebar, editing or map clicks.
+const PublicTrackerView = ({ trackerId }) => {
+	const { trackers, error, loaded } = usePublicTrackers(trackerId);
+	const { baseLayer } = useMapLayers();
+	const now = useNow(10000);
+	const [following, setFollowing] = useState(true);
+	const mapRef = useRef();
+	const fittedRef = useRef(false);
+
+	const freshness = useMemo(
+		() =>
+			new Map(
+				trackers.map((tracker) => [
+					tracker.trackerId,
+					getFreshness(tracker, now),
+				])
+			),
+		[trackers, now]
+	);
+
+	// Zoom to the trackers once they have loaded
+	useEffect(() => {
+		if (fittedRef.current || !mapRef.current) return;
+		const positions = trackers
+			.map((tracker) => toLatLng(tracker.currentLocation))
+			.filter(Boolean)
+			.map((position) => [position.lat, position.lng]);
+		if (positions.length === 0) return;
+		fittedRef.current = true;
+		mapRef.current.fitBounds(positions, { padding: [40, 40], maxZoom: 15 });
+	}, [trackers]);
+
+	const tracker = trackerId ? trackers[0] : null;
+	const followPosition =
+		tracker && following ? toLatLng(tracker.currentLocation) : null;
+	const unavailable = loaded && trackerId && !tracker && !error;
+
+	return (
+		<div style={{ height: "100vh", display: "flex", flexDirection: "column" }}>
+			<div
+				style={{
+					padding: "8px 10px",
+					backgroundColor: "#f8f9fa",
+					borderBottom: "1px solid #dee2e6",
+					display: "flex",
+					gap: "12px",
+					alignItems: "center",
+					flexWrap: "wrap",
+					fontSize: "0.9rem",
+				}}
+			>
+				<strong>📍 Node Tracker</strong>
+				{tracker && (
+					<>
+						<span>{tracker.name || tracker.trackerId}</span>
+						<span style={{ color: "#666" }}>
+							{FRESHNESS_STYLES[freshness.get(tracker.trackerId)]?.label} ·
+							updated {formatAge(tracker.lastUpdatedAt, now)}
+						</span>
+						{!following && (
+							<button
+								onClick={() => setFollowing(true)}
+								style={{
+									padding: "2px 8px",
+									border: "none",
+									borderRadius: "3px",
+									backgroundColor: "#007bff",
+									color: "white",
+									cursor: "pointer",
+									fontSize: "0.8rem",
+								}}
+							>
+								Follow
+							</button>
+						)}
+					</>
+				)}
+				{!trackerId && loaded && (
+					<span style={{ color: "#666" }}>
+						{trackers.length} public tracker
+						{trackers.length === 1 ? "" : "s"}
+					</span>
+				)}
+				{!loaded && <span style={{ color: "#666" }}>Loading...</span>}
+			</div>
+
+			{(error || unavailable) && (
+				<div
+					style={{
+						padding: "10px",
+						backgroundColor: "#f8d7da",
+						color: "#721c24",
+					}}
+				>
+					{unavailable
+						? "This tracker isn't available. The link may be wrong or the tracker is no longer shared."
+						: error}
+				</div>
+			)}
+
+			<div style={{ flex: 1 }}>
+				<MapContainer
+					center={[0, 0]}
+					zoom={2}
+					style={{ height: "100%", width: "100%" }}
+					ref={mapRef}
+				>
+					{baseLayer && <BaseTileLayer key={baseLayer.id} layer={baseLayer} />}
+					<MapViewController
+						followPosition={followPosition}
+						onViewChange={() => {}}
+						onUserMove={() => setFollowing(false)}
+					/>
+					<TrackerMarkers trackers={trackers} freshness={freshness} />
+				</MapContainer>
+			</div>
+		</div>
+	);
+};
+
+export default PublicTrackerView;
@@ -0,0 +1,157 @@
+import React from "react";
+import useNow from "../hooks/useNow";
+import { STALL_WARNING_MS } from "../hooks/useRecordingSession";
+import { formatDistance, formatDuration } from "../utils/trips";
+
+const buttonStyle = {
+	padding: "4px 10px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// h:mm:ss, so a running session visibly ticks
+const formatElapsed = (ms) => {
+	const seconds = Math.max(0, Math.floor(ms / 1000));
+	return `${Math.floor(seconds / 3600)}:${pad(
+		Math.floor(seconds / 60) % 60
+	)}:${pad(seconds % 60)}`;
+};
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// Always-visible strip naming the tracker the GPS session is reporting onto
+const RecordingSessionBar = ({
+	session,
+	recording,
+	trackerName,
+	selectedTrackerId,
+	wakeLock,
+	onStop,
+	onSelect,
+	onDismiss,
+}) => {
+	const now = useNow(1000);
+	if (!session) return null;
+
+	const end = session.stoppedAt || now;
+	const otherSelected =
+		recording && selectedTrackerId && selectedTrackerId !== session.trackerId;
+	// No fix for a while usually means the OS suspended the GPS watch
+	const silentFor = now - (session.lastFixAt || session.startedAt);
+	const stalled = recording && silentFor > STALL_WARNING_MS;
+	const longestGap = session.gaps.reduce(
+		(longest, gap) => Math.max(longest, gap.to - gap.from),
+		0
+	);
+
+	return (
+		<div
+			style={{
+				display: "flex",
+				alignItems: "center",
+				gap: "12px",
+				flexWrap: "wrap",
+				padding: "6px 10px",
+				backgroundColor: recording ? "#d4edda" : "#e9ecef",
+				borderBottom: `1px solid ${recording ? "#28a745" : "#dee2e6"}`,
+				fontSize: "0.85rem",
+			}}
+		>
+			<span>
+				{recording ? "🔴 Recording to" : "⏹ Recorded to"}{" "}
+				<button
+					onClick={onSelect}
+					title="Select this tracker"
+					style={{
+						background: "none",
+						border: "none",
+						padding: 0,
+						fontWeight: "bold",
+						color: "#007bff",
+						cursor: "pointer",
+						fontSize: "inherit",
+					}}
+				>
+					{trackerName}
+				</button>
+			</span>
+			<span>
+				{formatClock(session.startedAt)}
+				{session.stoppedAt && ` – ${formatClock(session.stoppedAt)}`} (
+				{formatElapsed(end - session.startedAt)})
+			</span>
+			<span>
+				{session.pointCount} point{session.pointCount === 1 ? "" : "s"} sent
+			</span>
+			<span>{formatDistance(session.distance)}</span>
+			{session.lastFixAt && (
+				<span style={{ color: "#666" }}>
+					Last fix {formatClock(session.lastFixAt)}
+				</span>
+			)}
+			{session.gaps.length > 0 && (
+				<span
+					style={{ color: "#856404" }}
+					title={session.gaps
+						.map(
+							(gap) =>
+								`${formatClock(gap.from)} – ${formatClock(gap.to)}${
+									gap.background ? " (background)" : ""
+								}`
+						)
+						.join("\n")}
+				>
+					{session.gaps.length} gap{session.gaps.length === 1 ? "" : "s"}{" "}
+					(longest {formatDuration(longestGap)})
+				</span>
+			)}
+			{recording && wakeLock && (
+				<span
+					style={{ color: "#666" }}
+					title="A screen wake lock keeps the display, and GPS, on while recording"
+				>
+					{wakeLock.held
+						? "🔆 Screen kept on"
+						: wakeLock.supported
+						? "Screen may turn off"
+						: "Wake lock unsupported"}
+				</span>
+			)}
+			{stalled && (
+				<span style={{ color: "#721c24", fontWeight: "bold" }}>
+					⚠️ No GPS fix for {formatElapsed(silentFor)}; the system may have
+					suspended tracking. Keep the app open with the screen on.
+				</span>
+			)}
+			{otherSelected && (
+				<span style={{ color: "#856404" }}>
+					⚠️ Another tracker is selected; fixes still go to {trackerName}
+				</span>
+			)}
+			<span style={{ marginLeft: "auto" }}>
+				{recording ? (
+					<button
+						onClick={onStop}
+						style={{ ...buttonStyle, backgroundColor: "#dc3545" }}
+					>
+						Stop Recording
+					</button>
+				) : (
+					<button
+						onClick={onDismiss}
+						style={{ ...buttonStyle, backgroundColor: "#6c757d" }}
+					>
+						Dismiss
+					</button>
+				)}
+			</span>
+		</div>
+	);
+};
+
+export default RecordingSessionBar;
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { buildLink } from "../utils/routes";
+
+const buttonStyle = {
+	padding: "4px 8px",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+	color: "white",
+};
+
+// Copy links to the selected tracker: the full app view with any loaded
+// history range, and the read-only public page for public trackers
+const ShareLinks = ({ tracker, historyRange }) => {
+	const [copied, setCopied] = useState(null);
+
+	const copy = async (key, link) => {
+		try {
+			await navigator.clipboard.writeText(link);
+			setCopied(key);
+			setTimeout(() => setCopied(null), 2000);
+		} catch (err) {
+			// Clipboard access is blocked outside secure contexts
+			window.prompt("Copy this link", link);
+		}
+	};
+
+	const isPublic = tracker.visibility === "public";
+
+	return (
+		<div
+			style={{
+				display: "flex",
+				gap: "5px",
+				flexWrap: "wrap",
+				margin: "10px 0",
+				fontSize: "0.8rem",
+			}}
+		>
+			<button
+				onClick={() =>
+					copy(
+						"app",
+						buildLink({ trackerId: tracker.trackerId, range: historyRange })
+					)
+				}
+				title={
+					historyRange
+						? "Link to this tracker and the loaded history"
+						: "Link to this tracker"
+				}
+				style={{ ...buttonStyle, backgroundColor: "#17a2b8" }}
+			>
+				{copied === "app" ? "✓ Copied" : "🔗 Copy link"}
+			</button>
+			<button
+				onClick={() =>
+					copy(
+						"embed",
+						buildLink({ view: "embed", trackerId: tracker.trackerId })
+					)
+				}
+				disabled={!isPublic}
+				title={
+					isPublic
+						? "Read-only page anyone with the link can open"
+						: "Only public trackers have a public page"
+				}
+				style={{
+					...buttonStyle,
+					backgroundColor: isPublic ? "#28a745" : "#adb5bd",
+					cursor: isPublic ? "pointer" : "not-allowed",
+				}}
+			>
+				{copied === "embed" ? "✓ Copied" : "🌐 Copy public link"}
+			</button>
+		</div>
+	);
+};
+
+export default ShareLinks;
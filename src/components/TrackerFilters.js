@@ -0,0 +1,133 @@
+import React from "react";
+import { DEFAULT_FILTERS, SORT_OPTIONS } from "../utils/trackerFilters";
+
+const controlStyle = { width: "100%", fontSize: "0.85rem" };
+const labelStyle = { flex: 1, fontSize: "0.75rem", color: "#666" };
+
+// Search, filter, sort and group controls for the tracker list
+const TrackerFilters = ({
+	filters,
+	onChange,
+	statuses,
+	shownCount,
+	totalCount,
+}) => {
+	const setFilter = (field) => (e) =>
+		onChange({ ...filters, [field]: e.target.value });
+
+	const isDefault = Object.keys(DEFAULT_FILTERS).every(
+		(key) => filters[key] === DEFAULT_FILTERS[key]
+	);
+
+	return (
+		<div style={{ margin: "8px 0" }}>
+			<input
+				type="search"
+				placeholder="Search by name or ID"
+				value={filters.query}
+				onChange={setFilter("query")}
+				style={{ ...controlStyle, padding: "5px" }}
+			/>
+
+			<div style={{ display: "flex", gap: "5px", marginTop: "5px" }}>
+				<label style={labelStyle}>
+					Status
+					<select
+						value={filters.status}
+						onChange={setFilter("status")}
+						style={controlStyle}
+					>
+						<option value="all">All</option>
+						{statuses.map((status) => (
+							<option key={status} value={status}>
+								{status}
+							</option>
+						))}
+					</select>
+				</label>
+				<label style={labelStyle}>
+					Visibility
+					<select
+						value={filters.visibility}
+						onChange={setFilter("visibility")}
+						style={controlStyle}
+					>
+						<option value="all">All</option>
+						<option value="public">Public</option>
+						<option value="private">Private</option>
+					</select>
+				</label>
+				<label style={labelStyle}>
+					Stale &gt; min
+					<input
+						type="number"
+						min="0"
+						placeholder="Off"
+						value={filters.staleMinutes}
+						onChange={setFilter("staleMinutes")}
+						style={controlStyle}
+					/>
+				</label>
+			</div>
+
+			<div style={{ display: "flex", gap: "5px", marginTop: "5px" }}>
+				<label style={labelStyle}>
+					Sort by
+					<select
+						value={filters.sortBy}
+						onChange={setFilter("sortBy")}
+						style={controlStyle}
+					>
+						{SORT_OPTIONS.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+				</label>
+				<label style={labelStyle}>
+					Group by
+					<select
+						value={filters.groupBy}
+						onChange={setFilter("groupBy")}
+						style={controlStyle}
+					>
+						<option value="none">None</option>
+						<option value="tag">Tag</option>
+					</select>
+				</label>
+			</div>
+
+			<div
+				style={{
+					display: "flex",
+					justifyContent: "space-between",
+					marginTop: "5px",
+					fontSize: "0.8rem",
+					color: "#666",
+				}}
+			>
+				<span>
+					Showing {shownCount} of {totalCount}
+				</span>
+				{!isDefault && (
+					<button
+						onClick={() => onChange(DEFAULT_FILTERS)}
+						style={{
+							background: "none",
+							border: "none",
+							padding: 0,
+							color: "#007bff",
+							cursor: "pointer",
+							fontSize: "0.8rem",
+						}}
+					>
+						Reset filters
+					</button>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default TrackerFilters;
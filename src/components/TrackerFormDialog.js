@@ -0,0 +1,230 @@
+import React, { useState } from "react";
+
+const TRACKER_ICONS = ["", "🚚", "🚗", "🏍️", "🚲", "🚶", "📦", "📱"];
+const TRACKER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const fieldStyle = { width: "100%", padding: "6px", marginTop: "2px" };
+const labelStyle = { display: "block", marginTop: "10px", fontSize: "0.9rem" };
+
+// Split "a, b, a" into unique, trimmed tags
+const parseTags = (text) => [
+	...new Set(
+		text
+			.split(",")
+			.map((tag) => tag.trim())
+			.filter(Boolean)
+	),
+];
+
+// Modal form for creating a tracker or editing an existing one
+const TrackerFormDialog = ({ mode, tracker, location, onSubmit, onCancel }) => {
+	const isEdit = mode === "edit";
+	const [values, setValues] = useState(() => ({
+		trackerId: tracker?.trackerId || `tracker_${Date.now()}`,
+		name: tracker?.name || "",
+		visibility: tracker?.visibility || "private",
+		description: tracker?.description || "",
+		color: tracker?.color || "#007bff",
+		icon: tracker?.icon || "",
+		tags: (tracker?.tags || []).join(", "),
+	}));
+	const [submitting, setSubmitting] = useState(false);
+	const [formError, setFormError] = useState(null);
+
+	const setField = (field) => (e) =>
+		setValues((prev) => ({ ...prev, [field]: e.target.value }));
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		const name = values.name.trim();
+		const trackerId = values.trackerId.trim();
+		if (!name) {
+			setFormError("Name is required");
+			return;
+		}
+		if (!isEdit && !TRACKER_ID_PATTERN.test(trackerId)) {
+			setFormError(
+				"Tracker ID may only contain letters, numbers, dashes and underscores"
+			);
+			return;
+		}
+
+		const trackerData = {
+			name,
+			visibility: values.visibility,
+			description: values.description.trim(),
+			color: values.color,
+			icon: values.icon,
+			tags: parseTags(values.tags),
+		};
+
+		try {
+			setSubmitting(true);
+			setFormError(null);
+			await onSubmit(isEdit ? trackerData : { trackerId, ...trackerData });
+		} catch (err) {
+			setFormError(err.message || "Failed to save tracker");
+			setSubmitting(false);
+		}
+	};
+
+	return (
+		<div
+			onClick={onCancel}
+			style={{
+				position: "fixed",
+				inset: 0,
+				zIndex: 2000,
+				backgroundColor: "rgba(0,0,0,0.4)",
+				display: "flex",
+				alignItems: "center",
+				justifyContent: "center",
+			}}
+		>
+			<form
+				onSubmit={handleSubmit}
+				onClick={(e) => e.stopPropagation()}
+				style={{
+					width: "360px",
+					maxWidth: "90vw",
+					maxHeight: "90vh",
+					overflowY: "auto",
+					padding: "20px",
+					backgroundColor: "white",
+					borderRadius: "6px",
+					boxShadow: "0 4px 12px rgba(0,0,0,0.3)",
+				}}
+			>
+				<h3 style={{ marginTop: 0 }}>
+					{isEdit ? "Edit Tracker" : "Create Tracker"}
+				</h3>
+				{location && (
+					<div style={{ fontSize: "0.8rem", color: "#666" }}>
+						Initial location: {location.lat.toFixed(6)},{" "}
+						{location.lng.toFixed(6)}
+					</div>
+				)}
+
+				<label style={labelStyle}>
+					Name
+					<input
+						type="text"
+						value={values.name}
+						onChange={setField("name")}
+						autoFocus
+						style={fieldStyle}
+					/>
+				</label>
+
+				<label style={labelStyle}>
+					Tracker ID
+					<input
+						type="text"
+						value={values.trackerId}
+						onChange={setField("trackerId")}
+						disabled={isEdit}
+						style={fieldStyle}
+					/>
+				</label>
+
+				<label style={labelStyle}>
+					Visibility
+					<select
+						value={values.visibility}
+						onChange={setField("visibility")}
+						style={fieldStyle}
+					>
+						<option value="private">Private</option>
+						<option value="public">Public</option>
+					</select>
+				</label>
+
+				<label style={labelStyle}>
+					Description
+					<textarea
+						value={values.description}
+						onChange={setField("description")}
+						rows={2}
+						style={fieldStyle}
+					/>
+				</label>
+
+				<div style={{ display: "flex", gap: "10px" }}>
+					<label style={{ ...labelStyle, flex: 1 }}>
+						Colour
+						<input
+							type="color"
+							value={values.color}
+							onChange={setField("color")}
+							style={{ ...fieldStyle, height: "34px", padding: "2px" }}
+						/>
+					</label>
+					<label style={{ ...labelStyle, flex: 1 }}>
+						Icon
+						<select
+							value={values.icon}
+							onChange={setField("icon")}
+							style={fieldStyle}
+						>
+							{TRACKER_ICONS.map((icon) => (
+								<option key={icon} value={icon}>
+									{icon || "None"}
+								</option>
+							))}
+						</select>
+					</label>
+				</div>
+
+				<label style={labelStyle}>
+					Tags (comma separated)
+					<input
+						type="text"
+						value={values.tags}
+						onChange={setField("tags")}
+						placeholder="fleet, north-depot"
+						style={fieldStyle}
+					/>
+				</label>
+
+				{formError && (
+					<div style={{ marginTop: "10px", color: "#721c24" }}>{formError}</div>
+				)}
+
+				<div style={{ marginTop: "15px", textAlign: "right" }}>
+					<button
+						type="button"
+						onClick={onCancel}
+						style={{
+							padding: "8px 16px",
+							marginRight: "10px",
+							backgroundColor: "#6c757d",
+							color: "white",
+							border: "none",
+							borderRadius: "4px",
+							cursor: "pointer",
+						}}
+					>
+						Cancel
+					</button>
+					<button
+						type="submit"
+						disabled={submitting}
+						style={{
+							padding: "8px 16px",
+							backgroundColor: "#28a745",
+							color: "white",
+							border: "none",
+							borderRadius: "4px",
+							cursor: "pointer",
+						}}
+					>
+						{submitting ? "Saving..." : isEdit ? "Save" : "Create"}
+					</button>
+				</div>
+			</form>
+		</div>
+	);
+};
+
+export default TrackerFormDialog;
@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import ExportMenu from "./ExportMenu";
+import { FRESHNESS_STYLES, formatAge } from "../utils/staleness";
+
+const checkboxLabelStyle = {
+	display: "block",
+	fontSize: "0.8rem",
+	color: "#666",
+	cursor: "pointer",
+};
+
+const smallButtonStyle = {
+	marginTop: "5px",
+	padding: "4px 8px",
+	color: "white",
+	border: "none",
+	borderRadius: "3px",
+	cursor: "pointer",
+	fontSize: "0.8rem",
+};
+
+// Sidebar card for a single tracker
+const TrackerListItem = ({
+	tracker,
+	selected,
+	checked,
+	onCheck,
+	freshness = "fresh",
+	now,
+	trailVisible,
+	onToggleTrail,
+	watchChecked,
+	watchDisabled,
+	subscribed,
+	onToggleWatch,
+	onSelect,
+	onDelete,
+	onExport,
+	onEdit,
+	onRename,
+}) => {
+	const [renaming, setRenaming] = useState(false);
+	const [draftName, setDraftName] = useState("");
+
+	const startRename = (e) => {
+		e.stopPropagation();
+		setDraftName(tracker.name || "");
+		setRenaming(true);
+	};
+
+	const finishRename = () => {
+		setRenaming(false);
+		const name = draftName.trim();
+		if (name && name !== tracker.name) {
+			onRename(name);
+		}
+	};
+
+	const freshnessStyle = FRESHNESS_STYLES[freshness];
+
+	return (
+		<div
+			style={{
+				opacity: freshness === "offline" || freshness === "never" ? 0.7 : 1,
+				padding: "10px",
+				margin: "5px 0",
+				backgroundColor: selected ? "#e3f2fd" : "white",
+				border: "1px solid #dee2e6",
+				borderLeft: `4px solid ${tracker.color || "#dee2e6"}`,
+				borderRadius: "4px",
+				cursor: "pointer",
+			}}
+			onClick={onSelect}
+		>
+			{renaming ? (
+				<input
+					type="text"
+					value={draftName}
+					autoFocus
+					onClick={(e) => e.stopPropagation()}
+					onChange={(e) => setDraftName(e.target.value)}
+					onBlur={finishRename}
+					onKeyDown={(e) => {
+						if (e.key === "Enter") finishRename();
+						if (e.key === "Escape") setRenaming(false);
+					}}
+					style={{ width: "100%", fontWeight: "bold" }}
+				/>
+			) : (
+				<div style={{ fontWeight: "bold" }}>
+					<input
+						type="checkbox"
+						checked={checked}
+						title="Select for bulk actions (shift-click for a range)"
+						onClick={(e) => e.stopPropagation()}
+						onChange={(e) => onCheck(e.nativeEvent.shiftKey)}
+						style={{ marginRight: "5px" }}
+					/>
+					{tracker.icon && <span>{tracker.icon} </span>}
+					{tracker.name || tracker.trackerId}
+					<span
+						title={`Last update ${formatAge(tracker.lastUpdatedAt, now)}`}
+						style={{
+							float: "right",
+							padding: "0 6px",
+							fontSize: "0.7rem",
+							fontWeight: "normal",
+							color: "white",
+							backgroundColor: freshnessStyle.badgeColor,
+							borderRadius: "8px",
+						}}
+					>
+						{freshnessStyle.label}
+					</span>
+				</div>
+			)}
+			{tracker.description && (
+				<div style={{ fontSize: "0.8rem", color: "#666" }}>
+					{tracker.description}
+				</div>
+			)}
+			<div style={{ fontSize: "0.9rem", color: "#666" }}>
+				Status: {tracker.currentStatus}
+			</div>
+			<div style={{ fontSize: "0.8rem", color: "#999" }}>
+				Last update:{" "}
+				{tracker.lastUpdatedAt
+					? `${new Date(tracker.lastUpdatedAt).toLocaleString()} (${formatAge(
+							tracker.lastUpdatedAt,
+							now
+					  )})`
+					: "Never"}
+			</div>
+			{tracker.tags?.length > 0 && (
+				<div style={{ marginTop: "3px" }}>
+					{tracker.tags.map((tag) => (
+						<span
+							key={tag}
+							style={{
+								display: "inline-block",
+								marginRight: "4px",
+								padding: "0 6px",
+								fontSize: "0.75rem",
+								backgroundColor: "#e9ecef",
+								borderRadius: "8px",
+							}}
+						>
+							{tag}
+						</span>
+					))}
+				</div>
+			)}
+			<label
+				onClick={(e) => e.stopPropagation()}
+				style={{ ...checkboxLabelStyle, marginTop: "5px" }}
+			>
+				<input
+					type="checkbox"
+					checked={trailVisible}
+					onChange={onToggleTrail}
+				/>{" "}
+				Show trail
+			</label>
+			<label onClick={(e) => e.stopPropagation()} style={checkboxLabelStyle}>
+				<input
+					type="checkbox"
+					checked={watchChecked}
+					disabled={watchDisabled}
+					onChange={onToggleWatch}
+				/>{" "}
+				Watch live updates
+				{subscribed && " 📡"}
+			</label>
+			<button
+				onClick={(e) => {
+					e.stopPropagation();
+					onDelete();
+				}}
+				style={{ ...smallButtonStyle, backgroundColor: "#dc3545" }}
+			>
+				Delete
+			</button>
+			<button
+				onClick={(e) => {
+					e.stopPropagation();
+					onEdit();
+				}}
+				style={{
+					...smallButtonStyle,
+					marginLeft: "5px",
+					backgroundColor: "#6c757d",
+				}}
+			>
+				Edit
+			</button>
+			<button
+				onClick={startRename}
+				style={{
+					...smallButtonStyle,
+					marginLeft: "5px",
+					backgroundColor: "#6c757d",
+				}}
+			>
+				Rename
+			</button>
+			<ExportMenu
+				onExport={onExport}
+				style={{ marginTop: "5px", marginLeft: "5px" }}
+			/>
+		</div>
+	);
+};
+
+export default TrackerListItem;
@@ -0,0 +1,152 @@
+import React, { useState, useMemo } from "react";
+import { Marker, Popup, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { toLatLng } from "../utils/geo";
+import { createCustomIcon, createClusterIcon } from "../utils/icons";
+import { FRESHNESS_STYLES } from "../utils/staleness";
+
+// Screen-space grid size used to group nearby markers, in pixels
+const CLUSTER_CELL_SIZE = 60;
+// Above this zoom level every marker is drawn on its own
+const CLUSTER_MAX_ZOOM = 17;
+// Extra margin around the viewport so markers don't pop in while panning
+const VIEWPORT_PADDING = 0.25;
+
+const getView = (map) => ({ bounds: map.getBounds(), zoom: map.getZoom() });
+
+// Tracker markers, culled to the viewport and clustered by zoom level.
+// Markers fade and turn grey as their last update gets older.
+// Shift-clicking a marker toggles it in the bulk selection.
+const TrackerMarkers = ({
+	trackers,
+	selectedTrackerId,
+	freshness,
+	checkedIds,
+	onShiftClick,
+}) => {
+	const map = useMap();
+	const [view, setView] = useState(() => getView(map));
+
+	useMapEvents({
+		moveend: () => setView(getView(map)),
+	});
+
+	const { singles, clusters } = useMemo(() => {
+		const visibleBounds = view.bounds.pad(VIEWPORT_PADDING);
+		const cells = new Map();
+		const singles = [];
+
+		trackers.forEach((tracker) => {
+			const position = toLatLng(tracker.currentLocation);
+			if (!position) return;
+
+			const entry = { tracker, position };
+			// The selected tracker is always drawn individually
+			if (tracker.trackerId === selectedTrackerId) {
+				singles.push(entry);
+				return;
+			}
+			if (!visibleBounds.contains([position.lat, position.lng])) return;
+			if (view.zoom > CLUSTER_MAX_ZOOM) {
+				singles.push(entry);
+				return;
+			}
+
+			const point = map.project([position.lat, position.lng], view.zoom);
+			const cellKey = `${Math.floor(point.x / CLUSTER_CELL_SIZE)}:${Math.floor(
+				point.y / CLUSTER_CELL_SIZE
+			)}`;
+			if (!cells.has(cellKey)) cells.set(cellKey, []);
+			cells.get(cellKey).push(entry);
+		});
+
+		const clusters = [];
+		cells.forEach((members, cellKey) => {
+			if (members.length === 1) {
+				singles.push(members[0]);
+				return;
+			}
+			const lat =
+				members.reduce((sum, member) => sum + member.position.lat, 0) /
+				members.length;
+			const lng =
+				members.reduce((sum, member) => sum + member.position.lng, 0) /
+				members.length;
+			clusters.push({ key: cellKey, members, center: [lat, lng] });
+		});
+
+		return { singles, clusters };
+	}, [trackers, selectedTrackerId, view, map]);
+
+	const zoomToCluster = (cluster) => {
+		const bounds = L.latLngBounds(
+			cluster.members.map((member) => [
+				member.position.lat,
+				member.position.lng,
+			])
+		);
+		map.fitBounds(bounds, { padding: [40, 40] });
+	};
+
+	return (
+		<>
+			{clusters.map((cluster) => (
+				<Marker
+					key={`cluster-${cluster.key}`}
+					position={cluster.center}
+					icon={createClusterIcon(cluster.members.length)}
+					eventHandlers={{ click: () => zoomToCluster(cluster) }}
+				/>
+			))}
+
+			{singles.map(({ tracker, position }) => {
+				const level = freshness?.get(tracker.trackerId) || "fresh";
+				const freshnessStyle = FRESHNESS_STYLES[level];
+				const selected = tracker.trackerId === selectedTrackerId;
+				const checked = checkedIds?.has(tracker.trackerId) || false;
+
+				return (
+					<Marker
+						key={tracker.trackerId}
+						position={[position.lat, position.lng]}
+						opacity={selected ? 1 : freshnessStyle.opacity}
+						icon={createCustomIcon(
+							selected
+								? "red"
+								: freshnessStyle.markerColor || tracker.color || "blue",
+							tracker.icon,
+							checked
+						)}
+						eventHandlers={{
+							click: (e) => {
+								if (!e.originalEvent.shiftKey || !onShiftClick) return;
+								onShiftClick(tracker.trackerId);
+								// The popup opens after this handler, so close it on the next tick
+								setTimeout(() => e.target.closePopup(), 0);
+							},
+						}}
+					>
+						<Popup>
+							<div>
+								<strong>{tracker.name || tracker.trackerId}</strong>
+								<br />
+								Status: {tracker.currentStatus} ({freshnessStyle.label})
+								<br />
+								Lat: {position.lat.toFixed(6)}
+								<br />
+								Lng: {position.lng.toFixed(6)}
+								<br />
+								Last update:{" "}
+								{tracker.lastUpdatedAt
+									? new Date(tracker.lastUpdatedAt).toLocaleString()
+									: "Never"}
+							</div>
+						</Popup>
+					</Marker>
+				);
+			})}
+		</>
+	);
+};
+
+export default TrackerMarkers;
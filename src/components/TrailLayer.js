@@ -0,0 +1,47 @@
+import React from "react";
+import { Polyline } from "react-leaflet";
+
+// Number of opacity steps a trail is split into, oldest to newest
+const FADE_STEPS = 5;
+const MIN_OPACITY = 0.15;
+const MAX_OPACITY = 0.8;
+
+// Split a trail into consecutive chunks that share their end points
+const splitIntoSegments = (points) => {
+	const segmentLength = Math.max(
+		Math.ceil((points.length - 1) / FADE_STEPS),
+		1
+	);
+	const segments = [];
+	for (let start = 0; start < points.length - 1; start += segmentLength) {
+		segments.push(points.slice(start, start + segmentLength + 1));
+	}
+	return segments;
+};
+
+// Draws fading breadcrumb trails behind live tracker markers
+const TrailLayer = ({ trails, isTrailVisible, selectedTrackerId }) => {
+	return Object.entries(trails).map(([trackerId, points]) => {
+		if (points.length < 2 || !isTrailVisible(trackerId)) return null;
+
+		const color = trackerId === selectedTrackerId ? "red" : "blue";
+		const segments = splitIntoSegments(points);
+
+		return segments.map((segment, index) => {
+			const ratio = segments.length > 1 ? index / (segments.length - 1) : 1;
+			return (
+				<Polyline
+					key={`${trackerId}-${index}`}
+					positions={segment.map((point) => [point.lat, point.lng])}
+					pathOptions={{
+						color,
+						weight: 3,
+						opacity: MIN_OPACITY + (MAX_OPACITY - MIN_OPACITY) * ratio,
+					}}
+				/>
+			);
+		});
+	});
+};
+
+export default TrailLayer;
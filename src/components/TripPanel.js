@@ -0,0 +1,107 @@
+import React from "react";
+import {
+	describePlace,
+	formatDistance,
+	formatDuration,
+	formatSpeed,
+} from "../utils/trips";
+
+const formatTime = (time) =>
+	new Date(time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// Trip list and daily summary for the loaded history
+const TripPanel = ({
+	trips,
+	stops,
+	selectedTrip,
+	geofences,
+	onSelect,
+	onExport,
+}) => {
+	const totalDistance = trips.reduce((sum, trip) => sum + trip.distance, 0);
+	const movingTime = trips.reduce((sum, trip) => sum + trip.duration, 0);
+	const stoppedTime = stops.reduce((sum, stop) => sum + stop.duration, 0);
+
+	return (
+		<div
+			style={{
+				padding: "10px",
+				margin: "10px 0",
+				backgroundColor: "white",
+				border: "1px solid #dee2e6",
+				borderRadius: "4px",
+				fontSize: "0.85rem",
+			}}
+		>
+			<div
+				style={{
+					display: "flex",
+					justifyContent: "space-between",
+					alignItems: "center",
+					marginBottom: "5px",
+				}}
+			>
+				<strong>🚗 Trips ({trips.length})</strong>
+				{trips.length > 0 && (
+					<button
+						onClick={onExport}
+						style={{
+							padding: "4px 8px",
+							backgroundColor: "#6c757d",
+							color: "white",
+							border: "none",
+							borderRadius: "3px",
+							cursor: "pointer",
+							fontSize: "0.8rem",
+						}}
+					>
+						Export CSV
+					</button>
+				)}
+			</div>
+
+			{trips.length === 0 ? (
+				<div style={{ color: "#999" }}>No trips detected in this range</div>
+			) : (
+				<div style={{ color: "#666" }}>
+					{formatDistance(totalDistance)} · moving {formatDuration(movingTime)}{" "}
+					· {stops.length} stops ({formatDuration(stoppedTime)})
+				</div>
+			)}
+
+			{trips.map((trip, index) => {
+				const selected = selectedTrip?.id === trip.id;
+				return (
+					<div
+						key={trip.id}
+						onClick={() => onSelect(selected ? null : trip)}
+						style={{
+							marginTop: "5px",
+							padding: "6px",
+							backgroundColor: selected ? "#fff3e0" : "#f8f9fa",
+							border: `1px solid ${selected ? "#fd7e14" : "#dee2e6"}`,
+							borderRadius: "3px",
+							cursor: "pointer",
+						}}
+					>
+						<div style={{ fontWeight: "bold" }}>
+							#{index + 1} {formatTime(trip.startTime)} →{" "}
+							{formatTime(trip.endTime)}
+						</div>
+						<div style={{ color: "#666" }}>
+							{describePlace(trip.start, geofences)} →{" "}
+							{describePlace(trip.end, geofences)}
+						</div>
+						<div style={{ color: "#666" }}>
+							{formatDistance(trip.distance)} · {formatDuration(trip.duration)}{" "}
+							· avg {formatSpeed(trip.avgSpeed)} · max{" "}
+							{formatSpeed(trip.maxSpeed)}
+						</div>
+					</div>
+				);
+			})}
+		</div>
+	);
+};
+
+export default TripPanel;
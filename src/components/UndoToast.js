@@ -0,0 +1,72 @@
+import React from "react";
+import useNow from "../hooks/useNow";
+
+// Countdown toasts for actions that can still be undone
+const UndoToast = ({ pending, onUndo, onCommit }) => {
+	const now = useNow(1000);
+
+	if (pending.length === 0) return null;
+
+	return (
+		<div
+			style={{
+				position: "fixed",
+				left: "50%",
+				bottom: "60px",
+				transform: "translateX(-50%)",
+				zIndex: 1000,
+				display: "flex",
+				flexDirection: "column",
+				gap: "8px",
+			}}
+		>
+			{pending.map((item) => (
+				<div
+					key={item.id}
+					style={{
+						display: "flex",
+						alignItems: "center",
+						gap: "12px",
+						padding: "10px 14px",
+						backgroundColor: "#343a40",
+						color: "white",
+						borderRadius: "4px",
+						boxShadow: "0 2px 6px rgba(0,0,0,0.3)",
+						fontSize: "0.9rem",
+					}}
+				>
+					<span>
+						{item.message} ·{" "}
+						{Math.max(Math.ceil((item.expiresAt - now) / 1000), 0)}s
+					</span>
+					<button
+						onClick={() => onUndo(item.id)}
+						style={{
+							background: "none",
+							border: "none",
+							color: "#ffc107",
+							fontWeight: "bold",
+							cursor: "pointer",
+						}}
+					>
+						Undo
+					</button>
+					<button
+						onClick={() => onCommit(item.id)}
+						title="Apply now"
+						style={{
+							background: "none",
+							border: "none",
+							color: "#adb5bd",
+							cursor: "pointer",
+						}}
+					>
+						×
+					</button>
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default UndoToast;
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from "react";
+import { authAPI } from "../api";
+import { authSession } from "../auth";
+
+// Current session, kept in sync with token refreshes and other tabs
+const useAuth = () => {
+	const [session, setSession] = useState(authSession.get);
+
+	useEffect(() => authSession.subscribe(setSession), []);
+
+	const login = useCallback((credentials) => authAPI.login(credentials), []);
+	const logout = useCallback(() => authAPI.logout(), []);
+
+	return {
+		user: session?.user || null,
+		authenticated: Boolean(session?.accessToken),
+		login,
+		logout,
+	};
+};
+
+export default useAuth;
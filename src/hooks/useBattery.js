@@ -0,0 +1,41 @@
+import { useState, useEffect } from "react";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+// Battery level (0-1) and charging state, or null where the Battery Status API is missing
+const useBattery = () => {
+	const [battery, setBattery] = useState(null);
+
+	useEffect(() => {
+		if (!navigator.getBattery) return;
+
+		let manager = null;
+		let cancelled = false;
+		const update = () =>
+			setBattery({ level: manager.level, charging: manager.charging });
+
+		navigator
+			.getBattery()
+			.then((batteryManager) => {
+				if (cancelled) return;
+				manager = batteryManager;
+				update();
+				manager.addEventListener("levelchange", update);
+				manager.addEventListener("chargingchange", update);
+			})
+			.catch((err) => log.error("Error reading battery status:", err));
+
+		return () => {
+			cancelled = true;
+			if (manager) {
+				manager.removeEventListener("levelchange", update);
+				manager.removeEventListener("chargingchange", update);
+			}
+		};
+	}, []);
+
+	return battery;
+};
+
+export default useBattery;
@@ -0,0 +1,27 @@
+import { useState, useCallback } from "react";
+
+// Promise-based confirmation dialog state.
+// confirm({ title, message, confirmLabel }) resolves to true or false.
+const useConfirm = () => {
+	const [request, setRequest] = useState(null);
+
+	const confirm = useCallback(
+		(options) =>
+			new Promise((resolve) => {
+				setRequest({ ...options, resolve });
+			}),
+		[]
+	);
+
+	const respond = useCallback(
+		(confirmed) => {
+			if (request) request.resolve(confirmed);
+			setRequest(null);
+		},
+		[request]
+	);
+
+	return { request, confirm, respond };
+};
+
+export default useConfirm;
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { geolocationAPI } from "../api";
+
+const STORAGE_KEY = "nodeTracker.fixFilterMode";
+
+// Persisted filter mode and a single fix filter shared with watchPosition
+const useFixFilter = () => {
+	const [mode, setMode] = useState(
+		() => localStorage.getItem(STORAGE_KEY) || "smoothed"
+	);
+	const [rejectedCount, setRejectedCount] = useState(0);
+
+	const filterRef = useRef(null);
+	if (!filterRef.current) {
+		filterRef.current = geolocationAPI.createFixFilter({
+			mode,
+			onReject: () => setRejectedCount((prev) => prev + 1),
+		});
+	}
+
+	useEffect(() => {
+		filterRef.current.setMode(mode);
+		localStorage.setItem(STORAGE_KEY, mode);
+	}, [mode]);
+
+	// Forget previous fixes when a new auto-tracking session starts
+	const reset = useCallback(() => {
+		filterRef.current.reset();
+		setRejectedCount(0);
+	}, []);
+
+	return {
+		filter: filterRef.current,
+		mode,
+		setMode,
+		rejectedCount,
+		reset,
+	};
+};
+
+export default useFixFilter;
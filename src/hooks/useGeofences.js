@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { distanceMeters } from "../utils/geo";
+import { isInsideGeofence } from "../utils/geofence";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+const STORAGE_KEY = "nodeTracker.geofences";
+const MAX_EVENTS = 200;
+
+const loadGeofences = () => {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+	} catch (err) {
+		log.error("Error loading geofences:", err);
+		return [];
+	}
+};
+
+// Saved geofences, the drawing draft, and enter/exit detection for positions.
+// onEvents receives each batch of new enter/exit events.
+const useGeofences = ({ onEvents } = {}) => {
+	const [geofences, setGeofences] = useState(loadGeofences);
+	const [draft, setDraft] = useState(null);
+	const [events, setEvents] = useState([]);
+
+	// Latest geofences for callbacks registered once (socket, watchPosition)
+	const geofencesRef = useRef(geofences);
+	// subjectId -> { geofenceId: inside }
+	const membershipRef = useRef({});
+	const nextEventIdRef = useRef(1);
+	const onEventsRef = useRef(onEvents);
+
+	useEffect(() => {
+		onEventsRef.current = onEvents;
+	}, [onEvents]);
+
+	useEffect(() => {
+		geofencesRef.current = geofences;
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(geofences));
+	}, [geofences]);
+
+	// Compare a position with every geofence and record enter/exit transitions
+	const checkPosition = useCallback((subjectId, point) => {
+		const membership = membershipRef.current[subjectId] || {};
+		const nextMembership = {};
+		const newEvents = [];
+
+		geofencesRef.current.forEach((geofence) => {
+			const inside = isInsideGeofence(geofence, point);
+			nextMembership[geofence.id] = inside;
+
+			// The first sighting only sets a baseline, since the prior state is unknown
+			if (!(geofence.id in membership) || membership[geofence.id] === inside) {
+				return;
+			}
+
+			newEvents.push({
+				id: nextEventIdRef.current++,
+				type: inside ? "enter" : "exit",
+				geofenceId: geofence.id,
+				geofenceName: geofence.name,
+				subjectId,
+				lat: point.lat,
+				lng: point.lng,
+				time: Date.now(),
+			});
+		});
+
+		membershipRef.current[subjectId] = nextMembership;
+		if (newEvents.length === 0) return;
+
+		setEvents((prev) =>
+			[...newEvents].reverse().concat(prev).slice(0, MAX_EVENTS)
+		);
+		if (onEventsRef.current) onEventsRef.current(newEvents);
+	}, []);
+
+	const forgetSubject = useCallback((subjectId) => {
+		delete membershipRef.current[subjectId];
+	}, []);
+
+	const startDrawing = (type) => {
+		setDraft({ type, points: [], center: null, radius: 0 });
+	};
+
+	const cancelDrawing = () => setDraft(null);
+
+	// Circles take a center click then a radius click; polygons collect vertices
+	const addDraftPoint = (point) => {
+		setDraft((prev) => {
+			if (!prev) return prev;
+			if (prev.type === "circle") {
+				if (!prev.center) return { ...prev, center: point };
+				return { ...prev, radius: distanceMeters(prev.center, point) };
+			}
+			return { ...prev, points: [...prev.points, point] };
+		});
+	};
+
+	const isDraftComplete = (candidate) => {
+		if (!candidate) return false;
+		if (candidate.type === "circle") {
+			return Boolean(candidate.center) && candidate.radius > 0;
+		}
+		return candidate.points.length >= 3;
+	};
+
+	const saveDraft = (name) => {
+		if (!isDraftComplete(draft)) return false;
+
+		const geofence =
+			draft.type === "circle"
+				? { type: "circle", center: draft.center, radius: draft.radius }
+				: { type: "polygon", points: draft.points };
+
+		setGeofences((prev) => [
+			...prev,
+			{
+				...geofence,
+				id: `geofence_${Date.now()}`,
+				name: name.trim() || `Zone ${prev.length + 1}`,
+				createdAt: new Date().toISOString(),
+			},
+		]);
+		setDraft(null);
+		return true;
+	};
+
+	const removeGeofence = (geofenceId) => {
+		setGeofences((prev) =>
+			prev.filter((geofence) => geofence.id !== geofenceId)
+		);
+		Object.values(membershipRef.current).forEach((membership) => {
+			delete membership[geofenceId];
+		});
+	};
+
+	const clearEvents = () => setEvents([]);
+
+	return {
+		geofences,
+		draft,
+		events,
+		draftComplete: isDraftComplete(draft),
+		checkPosition,
+		forgetSubject,
+		startDrawing,
+		cancelDrawing,
+		addDraftPoint,
+		saveDraft,
+		removeGeofence,
+		clearEvents,
+	};
+};
+
+export default useGeofences;
@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { trackerAPI } from "../api";
+import { normalizeHistory, positionAtTime } from "../utils/history";
+
+export const PLAYBACK_SPEEDS = [1, 5, 10, 30, 60];
+
+// Load a tracker's history and replay it along a timeline
+const useHistoryPlayback = () => {
+	const [trackerId, setTrackerId] = useState(null);
+	// { from, to } Dates the loaded points were requested for
+	const [range, setRange] = useState(null);
+	const [points, setPoints] = useState([]);
+	const [currentTime, setCurrentTime] = useState(null);
+	const [playing, setPlaying] = useState(false);
+	const [speed, setSpeed] = useState(1);
+	const [loading, setLoading] = useState(false);
+	// Bumped by every load and clear so a slow earlier response is ignored
+	const requestRef = useRef(0);
+
+	const startTime = points.length > 0 ? points[0].time : null;
+	const endTime = points.length > 0 ? points[points.length - 1].time : null;
+
+	// Resolves with the loaded points, or null when superseded by a later call
+	const load = useCallback(async (id, { from, to }) => {
+		const request = ++requestRef.current;
+		setPlaying(false);
+		setLoading(true);
+		try {
+			const data = await trackerAPI.getTrackerHistory(id, {
+				from: from.toISOString(),
+				to: to.toISOString(),
+			});
+			if (request !== requestRef.current) return null;
+			const normalized = normalizeHistory(data);
+			setTrackerId(id);
+			setRange({ from, to });
+			setPoints(normalized);
+			setCurrentTime(normalized.length > 0 ? normalized[0].time : null);
+			return normalized;
+		} finally {
+			if (request === requestRef.current) setLoading(false);
+		}
+	}, []);
+
+	const clear = useCallback(() => {
+		requestRef.current += 1;
+		setLoading(false);
+		setPlaying(false);
+		setTrackerId(null);
+		setRange(null);
+		setPoints([]);
+		setCurrentTime(null);
+	}, []);
+
+	const play = () => {
+		if (points.length < 2) return;
+		// Restart from the beginning when the end has been reached
+		if (currentTime >= endTime) {
+			setCurrentTime(startTime);
+		}
+		setPlaying(true);
+	};
+
+	const pause = () => setPlaying(false);
+
+	const seek = (time) => {
+		if (startTime === null) return;
+		setCurrentTime(Math.min(Math.max(time, startTime), endTime));
+	};
+
+	// Advance the playhead on every animation frame while playing
+	useEffect(() => {
+		if (!playing || endTime === null) return;
+
+		let frameId;
+		let lastFrame = performance.now();
+
+		const tick = (now) => {
+			const elapsed = now - lastFrame;
+			lastFrame = now;
+			setCurrentTime((prev) => Math.min(prev + elapsed * speed, endTime));
+			frameId = requestAnimationFrame(tick);
+		};
+
+		frameId = requestAnimationFrame(tick);
+		return () => cancelAnimationFrame(frameId);
+	}, [playing, speed, endTime]);
+
+	// Stop once the playhead reaches the last point
+	useEffect(() => {
+		if (playing && currentTime !== null && currentTime >= endTime) {
+			setPlaying(false);
+		}
+	}, [playing, currentTime, endTime]);
+
+	return {
+		trackerId,
+		range,
+		points,
+		currentTime,
+		startTime,
+		endTime,
+		position: currentTime !== null ? positionAtTime(points, currentTime) : null,
+		playing,
+		speed,
+		loading,
+		load,
+		clear,
+		play,
+		pause,
+		seek,
+		setSpeed,
+	};
+};
+
+export default useHistoryPlayback;
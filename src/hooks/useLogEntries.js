@@ -0,0 +1,33 @@
+import { useState, useEffect } from "react";
+import { logBuffer } from "../logger";
+
+// Live view of the log ring buffer; only subscribes while enabled
+const useLogEntries = (enabled) => {
+	const [entries, setEntries] = useState(() => logBuffer.getEntries());
+
+	useEffect(() => {
+		if (!enabled) return;
+
+		// Fixes and socket updates can arrive in bursts, so re-render at most
+		// once per animation frame
+		let frameId = null;
+		const refresh = () => {
+			if (frameId !== null) return;
+			frameId = requestAnimationFrame(() => {
+				frameId = null;
+				setEntries(logBuffer.getEntries());
+			});
+		};
+
+		setEntries(logBuffer.getEntries());
+		const unsubscribe = logBuffer.subscribe(refresh);
+		return () => {
+			unsubscribe();
+			cancelAnimationFrame(frameId);
+		};
+	}, [enabled]);
+
+	return entries;
+};
+
+export default useLogEntries;
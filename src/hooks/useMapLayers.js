@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from "react";
+import { DEFAULT_TILE_LAYERS, normalizeLayers } from "../utils/mapLayers";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+const STORAGE_KEY = "nodeTracker.mapLayers";
+// Deployed next to the app so layers can change without a rebuild
+const CONFIG_URL = `${process.env.PUBLIC_URL}/map-layers.json`;
+
+const DEFAULT_SETTINGS = {
+	baseLayerId: null,
+	overlays: { trails: true, geofences: true },
+};
+
+const logSkipped = (source, skipped) =>
+	skipped.forEach(({ layer, reason }) =>
+		log.warn(`Skipping tile layer from ${source}: ${reason}`, { layer })
+	);
+
+// REACT_APP_TILE_LAYERS is a JSON array of layers that replaces the defaults
+const loadEnvLayers = () => {
+	const raw = process.env.REACT_APP_TILE_LAYERS;
+	let config = DEFAULT_TILE_LAYERS;
+	if (raw) {
+		try {
+			config = JSON.parse(raw);
+		} catch (err) {
+			log.error("Invalid REACT_APP_TILE_LAYERS:", err);
+		}
+	}
+	const { layers, skipped } = normalizeLayers(config);
+	logSkipped("REACT_APP_TILE_LAYERS", skipped);
+	return layers;
+};
+
+const loadSettings = () => {
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return {
+			...DEFAULT_SETTINGS,
+			...saved,
+			overlays: { ...DEFAULT_SETTINGS.overlays, ...saved?.overlays },
+		};
+	} catch (err) {
+		log.error("Error loading map layer settings:", err);
+		return DEFAULT_SETTINGS;
+	}
+};
+
+// Available base maps, the chosen one and which overlays are shown.
+// public/map-layers.json, when present, overrides the build-time layers.
+const useMapLayers = () => {
+	const [layers, setLayers] = useState(loadEnvLayers);
+	const [settings, setSettings] = useState(loadSettings);
+
+	useEffect(() => {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+	}, [settings]);
+
+	useEffect(() => {
+		let cancelled = false;
+		fetch(CONFIG_URL)
+			.then((response) => {
+				// The dev server answers unknown paths with index.html
+				const type = response.headers.get("content-type") || "";
+				return response.ok && type.includes("json") ? response.json() : null;
+			})
+			.then((config) => {
+				if (cancelled || !config) return;
+				const { layers: configured, skipped } = normalizeLayers(config);
+				logSkipped("map-layers.json", skipped);
+				if (configured.length > 0) {
+					setLayers(configured);
+					log.info("Loaded tile layers from map-layers.json", {
+						count: configured.length,
+					});
+				}
+			})
+			.catch((err) => log.warn("Error loading map-layers.json:", err));
+		return () => {
+			cancelled = true;
+		};
+	}, []);
+
+	const baseLayer =
+		layers.find((layer) => layer.id === settings.baseLayerId) ||
+		layers[0] ||
+		null;
+
+	const setBaseLayer = useCallback((baseLayerId) => {
+		setSettings((prev) => ({ ...prev, baseLayerId }));
+	}, []);
+
+	const setOverlay = useCallback((key, visible) => {
+		setSettings((prev) => ({
+			...prev,
+			overlays: { ...prev.overlays, [key]: visible },
+		}));
+	}, []);
+
+	return {
+		layers,
+		baseLayer,
+		overlays: settings.overlays,
+		setBaseLayer,
+		setOverlay,
+	};
+};
+
+export default useMapLayers;
@@ -0,0 +1,50 @@
+import { useState, useCallback, useRef } from "react";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+const STORAGE_KEY = "nodeTracker.mapView";
+
+const DEFAULT_VIEW = { center: [0, 0], zoom: 2, selectedTrackerId: null };
+
+const loadView = () => {
+	try {
+		return {
+			...DEFAULT_VIEW,
+			...JSON.parse(localStorage.getItem(STORAGE_KEY)),
+		};
+	} catch (err) {
+		log.error("Error loading map view:", err);
+		return DEFAULT_VIEW;
+	}
+};
+
+// Last viewport and selected tracker, saved in localStorage so the next load
+// starts where the user left off. initial is the state found on mount.
+const useMapView = () => {
+	const [initial] = useState(loadView);
+	const savedRef = useRef(initial);
+
+	const persist = useCallback((changes) => {
+		savedRef.current = { ...savedRef.current, ...changes };
+		try {
+			localStorage.setItem(STORAGE_KEY, JSON.stringify(savedRef.current));
+		} catch (err) {
+			log.error("Error saving map view:", err);
+		}
+	}, []);
+
+	const saveViewport = useCallback(
+		(center, zoom) => persist({ center, zoom }),
+		[persist]
+	);
+
+	const saveSelection = useCallback(
+		(selectedTrackerId) => persist({ selectedTrackerId }),
+		[persist]
+	);
+
+	return { initial, saveViewport, saveSelection };
+};
+
+export default useMapView;
@@ -0,0 +1,66 @@
+import { useState, useCallback, useRef } from "react";
+
+// Set of checked tracker ids for bulk operations, with shift-click ranges
+const useMultiSelect = () => {
+	const [checkedIds, setCheckedIds] = useState(() => new Set());
+	// Last id toggled without shift, the start of the next shift-click range
+	const anchorRef = useRef(null);
+
+	const toggle = useCallback((trackerId) => {
+		anchorRef.current = trackerId;
+		setCheckedIds((prev) => {
+			const next = new Set(prev);
+			if (next.has(trackerId)) {
+				next.delete(trackerId);
+			} else {
+				next.add(trackerId);
+			}
+			return next;
+		});
+	}, []);
+
+	// Check every id between the anchor and trackerId in the given order
+	const selectRange = useCallback(
+		(orderedIds, trackerId) => {
+			const from = orderedIds.indexOf(anchorRef.current);
+			const to = orderedIds.indexOf(trackerId);
+			if (from === -1 || to === -1) {
+				toggle(trackerId);
+				return;
+			}
+
+			const range = orderedIds.slice(
+				Math.min(from, to),
+				Math.max(from, to) + 1
+			);
+			setCheckedIds((prev) => new Set([...prev, ...range]));
+		},
+		[toggle]
+	);
+
+	const addMany = useCallback((trackerIds) => {
+		setCheckedIds((prev) => new Set([...prev, ...trackerIds]));
+	}, []);
+
+	const setAll = useCallback((trackerIds) => {
+		setCheckedIds(new Set(trackerIds));
+	}, []);
+
+	const clear = useCallback(() => {
+		anchorRef.current = null;
+		setCheckedIds(new Set());
+	}, []);
+
+	// Drop ids of trackers that no longer exist
+	const remove = useCallback((trackerIds) => {
+		setCheckedIds((prev) => {
+			const next = new Set(prev);
+			trackerIds.forEach((trackerId) => next.delete(trackerId));
+			return next.size === prev.size ? prev : next;
+		});
+	}, []);
+
+	return { checkedIds, toggle, selectRange, addMany, setAll, clear, remove };
+};
+
+export default useMultiSelect;
@@ -0,0 +1,40 @@
+import { useState, useCallback, useRef, useEffect } from "react";
+
+const NOTIFICATION_DURATION = 6000;
+
+// In-app toast notifications that dismiss themselves after a few seconds
+const useNotifications = () => {
+	const [notifications, setNotifications] = useState([]);
+	const nextIdRef = useRef(1);
+	const timersRef = useRef(new Set());
+
+	const dismiss = useCallback((notificationId) => {
+		setNotifications((prev) =>
+			prev.filter((notification) => notification.id !== notificationId)
+		);
+	}, []);
+
+	// notification: { tone: "success" | "warning" | "danger", trackerId?, message }
+	const notify = useCallback(
+		(notification) => {
+			const id = nextIdRef.current++;
+			setNotifications((prev) => [...prev, { ...notification, id }]);
+
+			const timerId = setTimeout(() => {
+				timersRef.current.delete(timerId);
+				dismiss(id);
+			}, NOTIFICATION_DURATION);
+			timersRef.current.add(timerId);
+		},
+		[dismiss]
+	);
+
+	useEffect(() => {
+		const timers = timersRef.current;
+		return () => timers.forEach((timerId) => clearTimeout(timerId));
+	}, []);
+
+	return { notifications, notify, dismiss };
+};
+
+export default useNotifications;
@@ -0,0 +1,15 @@
+import { useState, useEffect } from "react";
+
+// Current time in ms, refreshed on an interval so time-based UI stays current
+const useNow = (interval = 30000) => {
+	const [now, setNow] = useState(() => Date.now());
+
+	useEffect(() => {
+		const intervalId = setInterval(() => setNow(Date.now()), interval);
+		return () => clearInterval(intervalId);
+	}, [interval]);
+
+	return now;
+};
+
+export default useNow;
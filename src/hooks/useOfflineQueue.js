@@ -0,0 +1,152 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { trackerAPI } from "../api";
+import { authSession } from "../auth";
+import { offlineQueue, isRetryableError } from "../offlineQueue";
+import { requestQueueSync, onServiceWorkerMessage } from "../serviceWorker";
+import { createLogger } from "../logger";
+
+const log = createLogger("queue");
+
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+// Send location updates, queueing them while offline and replaying them in order
+const useOfflineQueue = (socket) => {
+	const [pendingCount, setPendingCount] = useState(0);
+	const [flushing, setFlushing] = useState(false);
+
+	const flushingRef = useRef(false);
+	const retryAttemptRef = useRef(0);
+	const retryTimerRef = useRef(null);
+	// Set on unmount (e.g. sign-out) so an in-flight flush stops and never reschedules
+	const unmountedRef = useRef(false);
+
+	const refreshCount = useCallback(async () => {
+		try {
+			const count = await offlineQueue.count(authSession.getUserId());
+			setPendingCount(count);
+			return count;
+		} catch (err) {
+			log.error("Error reading offline queue:", err);
+			return 0;
+		}
+	}, []);
+
+	const flush = useCallback(async () => {
+		if (flushingRef.current) return;
+
+		clearTimeout(retryTimerRef.current);
+		retryTimerRef.current = null;
+		flushingRef.current = true;
+		setFlushing(true);
+
+		let scheduleRetry = false;
+		try {
+			const entries = await offlineQueue.getAll(authSession.getUserId());
+			for (const entry of entries) {
+				if (unmountedRef.current) break;
+				try {
+					await trackerAPI.updateTracker(entry.trackerId, entry.update);
+				} catch (err) {
+					if (isRetryableError(err)) {
+						scheduleRetry = true;
+						break;
+					}
+					// The server rejected this update, so replaying it would never succeed
+					log.error("Dropping rejected queued update:", err);
+				}
+				await offlineQueue.remove(entry.id);
+				setPendingCount((prev) => Math.max(prev - 1, 0));
+			}
+		} catch (err) {
+			log.error("Error replaying offline queue:", err);
+			scheduleRetry = true;
+		} finally {
+			flushingRef.current = false;
+			setFlushing(false);
+		}
+
+		if (unmountedRef.current) return;
+		const remaining = await refreshCount();
+		if (!scheduleRetry) retryAttemptRef.current = 0;
+		if (remaining === 0 || unmountedRef.current) return;
+
+		// Back off after a failure, otherwise pick up updates queued during this pass
+		const delay = scheduleRetry
+			? Math.min(
+					INITIAL_RETRY_DELAY * 2 ** retryAttemptRef.current,
+					MAX_RETRY_DELAY
+			  )
+			: 0;
+		if (scheduleRetry) retryAttemptRef.current += 1;
+		retryTimerRef.current = setTimeout(flush, delay);
+	}, [refreshCount]);
+
+	// Send an update now, or queue it if the network is down or a backlog exists
+	const send = useCallback(
+		async (trackerId, update, timestamp = Date.now()) => {
+			const owner = authSession.getUserId();
+			const queued = await offlineQueue.count(owner).catch(() => 0);
+			if (queued === 0) {
+				try {
+					await trackerAPI.updateTracker(trackerId, update);
+					return { queued: false };
+				} catch (err) {
+					if (!isRetryableError(err)) throw err;
+				}
+			}
+
+			// Keep replay order intact by queueing behind any existing backlog
+			await offlineQueue.enqueue(trackerId, update, timestamp, owner);
+			setPendingCount((prev) => prev + 1);
+			// Lets the service worker deliver it if this tab gets closed
+			requestQueueSync();
+			// Start replaying unless a backed-off retry is already scheduled
+			if (!retryTimerRef.current) flush();
+			return { queued: true };
+		},
+		[flush]
+	);
+
+	// Replay anything left over from a previous session
+	useEffect(() => {
+		unmountedRef.current = false;
+		refreshCount().then((count) => {
+			if (count > 0 && !unmountedRef.current) flush();
+		});
+		return () => {
+			unmountedRef.current = true;
+			clearTimeout(retryTimerRef.current);
+			retryTimerRef.current = null;
+		};
+	}, [refreshCount, flush]);
+
+	// Replay immediately when the browser or the socket comes back online
+	useEffect(() => {
+		const handleReconnect = () => {
+			retryAttemptRef.current = 0;
+			flush();
+		};
+
+		window.addEventListener("online", handleReconnect);
+		if (socket) socket.on("connect", handleReconnect);
+		// Background Sync fired while this page is open, so it replays the queue
+		const unsubscribe = onServiceWorkerMessage("flush-queue", handleReconnect);
+
+		return () => {
+			window.removeEventListener("online", handleReconnect);
+			if (socket) socket.off("connect", handleReconnect);
+			unsubscribe();
+		};
+	}, [socket, flush]);
+
+	// The service worker delivered queued updates with no page open
+	useEffect(
+		() => onServiceWorkerMessage("queue-flushed", refreshCount),
+		[refreshCount]
+	);
+
+	return { pendingCount, flushing, send, flush };
+};
+
+export default useOfflineQueue;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from "react";
+import { publicAPI } from "../api";
+import { API_ERROR_TYPES, describeError } from "../apiErrors";
+import { createLogger } from "../logger";
+
+const log = createLogger("api");
+
+// The live socket needs a signed-in user, so the public view polls instead
+const REFRESH_INTERVAL = 15000;
+
+// Public trackers for the read-only view: one tracker when trackerId is set,
+// otherwise every public tracker. The server does the filtering.
+const usePublicTrackers = (trackerId) => {
+	const [trackers, setTrackers] = useState([]);
+	const [error, setError] = useState(null);
+	const [loaded, setLoaded] = useState(false);
+
+	useEffect(() => {
+		let cancelled = false;
+
+		const load = async () => {
+			try {
+				const data = trackerId
+					? [await publicAPI.getTracker(trackerId)]
+					: await publicAPI.getTrackers();
+				if (cancelled) return;
+				setTrackers(data);
+				setError(null);
+			} catch (err) {
+				if (cancelled) return;
+				// The link is wrong or the tracker is no longer shared
+				if (trackerId && err.type === API_ERROR_TYPES.notFound) {
+					setTrackers([]);
+					setError(null);
+					return;
+				}
+				setError(describeError("Could not load trackers", err));
+				log.error("Error loading public trackers:", err);
+			} finally {
+				if (!cancelled) setLoaded(true);
+			}
+		};
+
+		load();
+		const intervalId = setInterval(load, REFRESH_INTERVAL);
+		return () => {
+			cancelled = true;
+			clearInterval(intervalId);
+		};
+	}, [trackerId]);
+
+	return { trackers, error, loaded };
+};
+
+export default usePublicTrackers;
@@ -0,0 +1,180 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { geolocationAPI } from "../api";
+import { distanceMeters } from "../utils/geo";
+import { createLogger } from "../logger";
+
+const log = createLogger("geo");
+
+// Time without any fix that counts as a gap in the recording
+export const GAP_THRESHOLD_MS = 2 * 60 * 1000;
+// Time without any fix after which the OS has probably suspended the watch
+export const STALL_WARNING_MS = 60 * 1000;
+
+// An auto-tracking recording session bound to the tracker it was started for.
+// Fixes always go to session.trackerId, whatever is selected later on.
+// onFix(trackerId, fix) returns the send decision ({ send, reason }) so the
+// session can count sent points; fixes rejected for accuracy don't add distance.
+// The first fix after a gap carries fix.gap = { from, to, background } and is
+// also reported through onGap(trackerId, gap).
+const useRecordingSession = ({ onFix, onError, onGap }) => {
+	const [session, setSession] = useState(null);
+	const watchIdRef = useRef(null);
+	const sessionRef = useRef(null);
+	const lastFixRef = useRef(null);
+	const lastFixAtRef = useRef(null);
+	// Whether the page was hidden at some point since the last fix
+	const backgroundedRef = useRef(false);
+
+	// The watch callback is registered once, so it calls the latest handlers
+	const onFixRef = useRef(onFix);
+	const onErrorRef = useRef(onError);
+	const onGapRef = useRef(onGap);
+
+	useEffect(() => {
+		onFixRef.current = onFix;
+		onErrorRef.current = onError;
+		onGapRef.current = onGap;
+	}, [onFix, onError, onGap]);
+
+	const updateSession = useCallback((update) => {
+		setSession((prev) => {
+			const next = prev ? update(prev) : prev;
+			sessionRef.current = next;
+			return next;
+		});
+	}, []);
+
+	const handleFix = useCallback(
+		(fix) => {
+			const current = sessionRef.current;
+			if (!current || current.stoppedAt) return;
+
+			const previousAt = lastFixAtRef.current || current.startedAt;
+			const gap =
+				fix.timestamp - previousAt > GAP_THRESHOLD_MS
+					? {
+							from: previousAt,
+							to: fix.timestamp,
+							background: backgroundedRef.current,
+					  }
+					: null;
+			lastFixAtRef.current = fix.timestamp;
+			backgroundedRef.current = document.visibilityState === "hidden";
+
+			const decision = onFixRef.current(
+				current.trackerId,
+				gap ? { ...fix, gap } : fix
+			);
+			if (gap) {
+				log.warn("Gap in recording", {
+					trackerId: current.trackerId,
+					seconds: Math.round((gap.to - gap.from) / 1000),
+					background: gap.background,
+				});
+				if (onGapRef.current) onGapRef.current(current.trackerId, gap);
+			}
+
+			const accepted = decision.reason !== "accuracy";
+			const lastFix = lastFixRef.current;
+			if (accepted) lastFixRef.current = fix;
+			updateSession((prev) => ({
+				...prev,
+				pointCount: prev.pointCount + (decision.send ? 1 : 0),
+				distance:
+					prev.distance +
+					(accepted && lastFix ? distanceMeters(lastFix, fix) : 0),
+				lastFixAt: fix.timestamp,
+				gaps: gap ? [...prev.gaps, gap] : prev.gaps,
+			}));
+		},
+		[updateSession]
+	);
+
+	const stop = useCallback(() => {
+		if (watchIdRef.current === null) return;
+		geolocationAPI.clearWatch(watchIdRef.current);
+		watchIdRef.current = null;
+		lastFixRef.current = null;
+		lastFixAtRef.current = null;
+		updateSession((prev) => ({ ...prev, stoppedAt: Date.now() }));
+		log.info("Recording stopped", { trackerId: sessionRef.current?.trackerId });
+	}, [updateSession]);
+
+	// filter is the GPS fix filter applied before onFix sees a fix
+	const start = useCallback(
+		(tracker, filter) => {
+			if (watchIdRef.current !== null) return;
+
+			const watchId = geolocationAPI.watchPosition(
+				handleFix,
+				(err) => onErrorRef.current(err),
+				filter
+			);
+			if (watchId === null) return;
+
+			watchIdRef.current = watchId;
+			lastFixRef.current = null;
+			lastFixAtRef.current = null;
+			backgroundedRef.current = false;
+			const next = {
+				trackerId: tracker.trackerId,
+				trackerName: tracker.name || tracker.trackerId,
+				startedAt: Date.now(),
+				stoppedAt: null,
+				lastFixAt: null,
+				pointCount: 0,
+				distance: 0,
+				gaps: [],
+			};
+			sessionRef.current = next;
+			setSession(next);
+			log.info("Recording started", { trackerId: tracker.trackerId });
+		},
+		[handleFix]
+	);
+
+	// Forget a finished session once its summary has been read
+	const dismiss = useCallback(() => {
+		if (watchIdRef.current !== null) return;
+		sessionRef.current = null;
+		setSession(null);
+	}, []);
+
+	const recording = Boolean(session && !session.stoppedAt);
+
+	// Browsers throttle or stop the GPS watch in the background, so note it
+	// to explain the gap that usually follows
+	useEffect(() => {
+		if (!recording) return;
+		const handleVisibilityChange = () => {
+			if (document.visibilityState === "hidden") {
+				backgroundedRef.current = true;
+				log.info("Page hidden while recording");
+			} else {
+				log.info("Page visible again while recording");
+			}
+		};
+		document.addEventListener("visibilitychange", handleVisibilityChange);
+		return () =>
+			document.removeEventListener("visibilitychange", handleVisibilityChange);
+	}, [recording]);
+
+	useEffect(
+		() => () => {
+			if (watchIdRef.current !== null) {
+				geolocationAPI.clearWatch(watchIdRef.current);
+			}
+		},
+		[]
+	);
+
+	return {
+		session,
+		recording,
+		start,
+		stop,
+		dismiss,
+	};
+};
+
+export default useRecordingSession;
@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from "react";
+import { parseRoute } from "../utils/routes";
+
+const readRoute = (source) => ({
+	...parseRoute(window.location.pathname, window.location.search),
+	source,
+});
+
+// Current route from the address bar. route.source tells how it was reached:
+// "initial" on load, "pop" for back/forward and "push" for navigate().
+const useRoute = () => {
+	const [route, setRoute] = useState(() => readRoute("initial"));
+
+	useEffect(() => {
+		const handlePopState = () => setRoute(readRoute("pop"));
+		window.addEventListener("popstate", handlePopState);
+		return () => window.removeEventListener("popstate", handlePopState);
+	}, []);
+
+	// Change the address without reloading; replace skips the history entry
+	const navigate = useCallback((path, { replace = false } = {}) => {
+		const current = `${window.location.pathname}${window.location.search}`;
+		if (path === current) return;
+		if (replace) {
+			window.history.replaceState(null, "", path);
+		} else {
+			window.history.pushState(null, "", path);
+		}
+		setRoute(readRoute("push"));
+	}, []);
+
+	return { route, navigate };
+};
+
+export default useRoute;
@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import {
+	DEFAULT_SEND_RULES,
+	effectiveSendRules,
+	evaluateFix,
+	fixHeading,
+	isLowBattery,
+} from "../utils/sendRules";
+import useBattery from "./useBattery";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+const STORAGE_KEY = "nodeTracker.sendRules";
+
+const EMPTY_STATS = { sent: 0, skipped: 0, lastReason: null };
+
+const loadRules = () => {
+	try {
+		return {
+			...DEFAULT_SEND_RULES,
+			...JSON.parse(localStorage.getItem(STORAGE_KEY)),
+		};
+	} catch (err) {
+		log.error("Error loading auto-tracking rules:", err);
+		return DEFAULT_SEND_RULES;
+	}
+};
+
+// Configurable rules that throttle auto-tracking fixes, adapted to battery level
+const useSendRules = () => {
+	const [rules, setRules] = useState(loadRules);
+	const [stats, setStats] = useState(EMPTY_STATS);
+	const battery = useBattery();
+
+	const effectiveRules = useMemo(
+		() => effectiveSendRules(rules, battery),
+		[rules, battery]
+	);
+	const lowBattery = isLowBattery(rules, battery);
+
+	// The watchPosition callback is registered once, so it reads rules from a ref
+	const effectiveRulesRef = useRef(effectiveRules);
+	const lastSentRef = useRef(null);
+
+	useEffect(() => {
+		effectiveRulesRef.current = effectiveRules;
+	}, [effectiveRules]);
+
+	useEffect(() => {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+	}, [rules]);
+
+	// Returns { send, reason } and remembers the fix when it should be sent
+	const evaluate = useCallback((fix) => {
+		const decision = evaluateFix(
+			fix,
+			lastSentRef.current,
+			effectiveRulesRef.current
+		);
+		if (decision.send) {
+			lastSentRef.current = {
+				...fix,
+				heading: fixHeading(fix, lastSentRef.current),
+			};
+		}
+		setStats((prev) => ({
+			sent: prev.sent + (decision.send ? 1 : 0),
+			skipped: prev.skipped + (decision.send ? 0 : 1),
+			lastReason: decision.reason,
+		}));
+		return decision;
+	}, []);
+
+	// Start counting from scratch for a new auto-tracking session
+	const resetSession = useCallback(() => {
+		lastSentRef.current = null;
+		setStats(EMPTY_STATS);
+	}, []);
+
+	const setRule = (key, value) => {
+		setRules((prev) => ({ ...prev, [key]: value }));
+	};
+
+	const resetRules = () => setRules(DEFAULT_SEND_RULES);
+
+	return {
+		rules,
+		effectiveRules,
+		battery,
+		lowBattery,
+		stats,
+		evaluate,
+		resetSession,
+		setRule,
+		resetRules,
+	};
+};
+
+export default useSendRules;
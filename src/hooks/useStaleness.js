@@ -0,0 +1,99 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+import { DEFAULT_THRESHOLDS, getFreshness } from "../utils/staleness";
+import { createLogger } from "../logger";
+
+const log = createLogger("app");
+
+const STORAGE_KEY = "nodeTracker.staleness";
+
+const DEFAULT_SETTINGS = {
+	thresholds: DEFAULT_THRESHOLDS,
+	alertOnOffline: true,
+};
+
+const loadSettings = () => {
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return saved
+			? {
+					...DEFAULT_SETTINGS,
+					...saved,
+					thresholds: { ...DEFAULT_THRESHOLDS, ...saved.thresholds },
+			  }
+			: DEFAULT_SETTINGS;
+	} catch (err) {
+		log.error("Error loading staleness settings:", err);
+		return DEFAULT_SETTINGS;
+	}
+};
+
+// Freshness level per tracker, configurable thresholds, and offline alerts.
+// onOffline is called with each tracker that goes offline while the app is open.
+const useStaleness = (trackers, now, onOffline) => {
+	const [settings, setSettings] = useState(loadSettings);
+	const previousRef = useRef(null);
+	const onOfflineRef = useRef(onOffline);
+
+	useEffect(() => {
+		onOfflineRef.current = onOffline;
+	}, [onOffline]);
+
+	useEffect(() => {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+	}, [settings]);
+
+	// trackerId -> freshness level
+	const freshness = useMemo(() => {
+		const levels = new Map();
+		trackers.forEach((tracker) => {
+			levels.set(
+				tracker.trackerId,
+				getFreshness(tracker, now, settings.thresholds)
+			);
+		});
+		return levels;
+	}, [trackers, now, settings.thresholds]);
+
+	useEffect(() => {
+		const previous = previousRef.current;
+		previousRef.current = freshness;
+		// The first pass only sets a baseline so loading the page doesn't alert
+		if (!previous || !settings.alertOnOffline || !onOfflineRef.current) return;
+
+		trackers.forEach((tracker) => {
+			const before = previous.get(tracker.trackerId);
+			if (
+				before &&
+				before !== "offline" &&
+				before !== "never" &&
+				freshness.get(tracker.trackerId) === "offline"
+			) {
+				onOfflineRef.current(tracker);
+			}
+		});
+	}, [freshness, trackers, settings.alertOnOffline]);
+
+	const setThreshold = (level, minutes) => {
+		setSettings((prev) => ({
+			...prev,
+			thresholds: { ...prev.thresholds, [level]: minutes },
+		}));
+	};
+
+	const setAlertOnOffline = (alertOnOffline) => {
+		setSettings((prev) => ({ ...prev, alertOnOffline }));
+	};
+
+	const resetSettings = () => setSettings(DEFAULT_SETTINGS);
+
+	return {
+		freshness,
+		thresholds: settings.thresholds,
+		alertOnOffline: settings.alertOnOffline,
+		setThreshold,
+		setAlertOnOffline,
+		resetSettings,
+	};
+};
+
+export default useStaleness;
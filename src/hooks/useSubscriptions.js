@@ -0,0 +1,64 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+
+export const WATCH_MODES = [
+	{ value: "manual", label: "Watched + selected" },
+	{ value: "visible", label: "All visible" },
+	{ value: "selected", label: "Selected only" },
+];
+
+// Decide which trackers receive live updates and keep the socket in sync
+const useSubscriptions = ({
+	syncSubscriptions,
+	visibleTrackerIds,
+	selectedTrackerId,
+}) => {
+	const [mode, setMode] = useState("manual");
+	const [watchedIds, setWatchedIds] = useState(() => new Set());
+
+	const toggleWatch = useCallback((trackerId) => {
+		setWatchedIds((prev) => {
+			const next = new Set(prev);
+			if (next.has(trackerId)) {
+				next.delete(trackerId);
+			} else {
+				next.add(trackerId);
+			}
+			return next;
+		});
+	}, []);
+
+	const forgetTracker = useCallback((trackerId) => {
+		setWatchedIds((prev) => {
+			if (!prev.has(trackerId)) return prev;
+			const next = new Set(prev);
+			next.delete(trackerId);
+			return next;
+		});
+	}, []);
+
+	// Join on a string so the effect only runs when the set of ids changes
+	const visibleKey = visibleTrackerIds.join("\n");
+
+	const desiredIds = useMemo(() => {
+		const visible = visibleKey ? visibleKey.split("\n") : [];
+		const selected = selectedTrackerId ? [selectedTrackerId] : [];
+
+		if (mode === "visible") return [...visible, ...selected];
+		if (mode === "selected") return selected;
+		return [...watchedIds, ...selected];
+	}, [mode, watchedIds, visibleKey, selectedTrackerId]);
+
+	useEffect(() => {
+		syncSubscriptions(desiredIds);
+	}, [desiredIds, syncSubscriptions]);
+
+	return {
+		mode,
+		setMode,
+		watchedIds,
+		toggleWatch,
+		forgetTracker,
+	};
+};
+
+export default useSubscriptions;
@@ -0,0 +1,127 @@
+import { useState, useRef, useCallback } from "react";
+import { trackerAPI, buildLocationUpdate } from "../api";
+import { parseTrackFile, fillMissingTimes } from "../utils/importTrack";
+import { toLatLng } from "../utils/geo";
+import { createLogger } from "../logger";
+
+const log = createLogger("api");
+
+// Minimum delay between uploaded points so imports don't flood the backend
+export const IMPORT_UPLOAD_INTERVAL = 250;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The tracker's own latest fix when it is newer than every imported point.
+// Each uploaded point becomes the current location, so this is sent again
+// after appending older history to put the live marker back.
+const currentFixToRestore = (tracker, points) => {
+	const position = toLatLng(tracker.currentLocation);
+	if (!position || !tracker.lastUpdatedAt) return null;
+
+	const updatedAt = new Date(tracker.lastUpdatedAt).getTime();
+	// A spread of every point's time overflows the call stack on large files
+	const newestImported = points.reduce(
+		(newest, point) => Math.max(newest, point.time || 0),
+		0
+	);
+	if (updatedAt < newestImported) return null;
+
+	return { ...position, timestamp: updatedAt, status: tracker.currentStatus };
+};
+
+// Parse a track file for preview, then upload its points one at a time
+const useTrackImport = () => {
+	const [preview, setPreview] = useState(null);
+	const [progress, setProgress] = useState(null);
+	const [importing, setImporting] = useState(false);
+	const cancelledRef = useRef(false);
+
+	const loadFile = useCallback(async (file) => {
+		setProgress(null);
+		const parsed = await parseTrackFile(file);
+		setPreview({ ...parsed, fileName: file.name });
+		return parsed;
+	}, []);
+
+	const clear = useCallback(() => {
+		setPreview(null);
+		setProgress(null);
+	}, []);
+
+	const cancel = useCallback(() => {
+		cancelledRef.current = true;
+	}, []);
+
+	// Upload the previewed points to a new tracker or append them to an existing one
+	const upload = async ({ trackerId, name, createNew }) => {
+		if (!preview) return null;
+
+		// Untimed points would all be stamped with the upload time, which can't
+		// be placed within an existing tracker's history
+		const untimed = preview.points.filter((point) => point.time === null);
+		if (!createNew && untimed.length > 0) {
+			throw new Error(
+				`${untimed.length} points have no timestamp and can't be appended`
+			);
+		}
+		const points =
+			untimed.length > 0 ? fillMissingTimes(preview.points) : preview.points;
+		cancelledRef.current = false;
+		setImporting(true);
+		setProgress({ sent: 0, total: points.length });
+
+		try {
+			let restore = null;
+			if (createNew) {
+				await trackerAPI.createTracker({
+					trackerId,
+					name,
+					visibility: "private",
+				});
+			} else {
+				const tracker = await trackerAPI.getTracker(trackerId);
+				restore = currentFixToRestore(tracker, points);
+			}
+
+			let sent = 0;
+			let uploadError = null;
+			try {
+				for (const point of points) {
+					if (cancelledRef.current) break;
+					await trackerAPI.updateTracker(
+						trackerId,
+						buildLocationUpdate(point, "import")
+					);
+					sent += 1;
+					setProgress({ sent, total: points.length });
+					if (sent < points.length) await wait(IMPORT_UPLOAD_INTERVAL);
+				}
+			} catch (err) {
+				uploadError = err;
+			}
+
+			// Also after a cancel or failure part way through
+			if (restore && sent > 0) {
+				try {
+					await trackerAPI.updateTracker(
+						trackerId,
+						buildLocationUpdate(restore, "restore")
+					);
+				} catch (err) {
+					// The upload failure is the one worth reporting
+					if (!uploadError) throw err;
+					log.error("Error restoring current location after import:", err);
+				}
+			}
+			if (uploadError) throw uploadError;
+
+			return { trackerId, sent, total: points.length };
+		} finally {
+			setImporting(false);
+		}
+	};
+
+	return { preview, progress, importing, loadFile, clear, cancel, upload };
+};
+
+export default useTrackImport;
@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import io from "socket.io-client";
+import { trackerAPI, refreshAccessToken } from "../api";
+import { authSession } from "../auth";
+import { normalizeHistory } from "../utils/history";
+import { createLogger } from "../logger";
+
+const log = createLogger("socket");
+
+const SOCKET_URL = process.env.REACT_APP_API_URL || "http://localhost:3000";
+
+// Socket connection with batched updates, resubscription and gap backfill
+const useTrackerSocket = (onUpdates) => {
+	const [socket, setSocket] = useState(null);
+	const [status, setStatus] = useState("connecting");
+	const [subscribedIds, setSubscribedIds] = useState(() => new Set());
+
+	const socketRef = useRef(null);
+	const onUpdatesRef = useRef(onUpdates);
+	// Trackers to subscribe to again after every reconnect
+	const subscriptionsRef = useRef(new Set());
+	// trackerId -> time of the last update received, used to size backfills
+	const lastUpdateRef = useRef({});
+
+	useEffect(() => {
+		onUpdatesRef.current = onUpdates;
+	}, [onUpdates]);
+
+	useEffect(() => {
+		// A callback so every reconnect sends the latest access token
+		const newSocket = io(SOCKET_URL, {
+			auth: (callback) => callback({ token: authSession.getAccessToken() }),
+		});
+		socketRef.current = newSocket;
+		setSocket(newSocket);
+
+		// Updates are buffered and applied together so a burst of messages
+		// causes a single re-render instead of one per message
+		let pendingUpdates = [];
+		let frameId = null;
+		let timerId = null;
+		let disconnectedAt = null;
+		let authRetried = false;
+
+		const applyPendingUpdates = () => {
+			frameId = null;
+			timerId = null;
+			const updates = pendingUpdates.sort(
+				(a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+			);
+			pendingUpdates = [];
+			onUpdatesRef.current(updates);
+		};
+
+		const queueUpdates = (updates) => {
+			updates.forEach((data) => {
+				const time = new Date(data.timestamp || Date.now()).getTime();
+				const last = lastUpdateRef.current[data.trackerId] || 0;
+				lastUpdateRef.current[data.trackerId] = Math.max(last, time);
+				pendingUpdates.push(data);
+			});
+			if (frameId !== null || timerId !== null) return;
+
+			// Animation frames pause in background tabs, so use a timer there
+			if (document.hidden) {
+				timerId = setTimeout(applyPendingUpdates, 1000);
+			} else {
+				frameId = requestAnimationFrame(applyPendingUpdates);
+			}
+		};
+
+		// Fetch what each subscribed tracker reported while we were disconnected
+		const backfill = (since) => {
+			const to = new Date().toISOString();
+			subscriptionsRef.current.forEach(async (trackerId) => {
+				const from = lastUpdateRef.current[trackerId] || since;
+				try {
+					const data = await trackerAPI.getTrackerHistory(trackerId, {
+						from: new Date(from).toISOString(),
+						to,
+					});
+					const missed = normalizeHistory(data)
+						.filter((point) => point.time > from)
+						.map((point) => ({
+							trackerId,
+							location: { lat: point.lat, lng: point.lng },
+							timestamp: new Date(point.time).toISOString(),
+						}));
+					if (missed.length > 0) queueUpdates(missed);
+				} catch (err) {
+					log.error("Error backfilling tracker updates:", err);
+				}
+			});
+		};
+
+		newSocket.on("connect", () => {
+			log.info("Connected", { id: newSocket.id });
+			setStatus("connected");
+			authRetried = false;
+			subscriptionsRef.current.forEach((trackerId) => {
+				newSocket.emit("subscribe", { trackerId });
+			});
+			if (disconnectedAt !== null) {
+				backfill(disconnectedAt);
+				disconnectedAt = null;
+			}
+		});
+
+		newSocket.on("disconnect", (reason) => {
+			log.warn("Disconnected", { reason });
+			setStatus("disconnected");
+			if (disconnectedAt === null) disconnectedAt = Date.now();
+		});
+
+		newSocket.on("connect_error", (err) => {
+			log.warn("Connection error", { message: err.message });
+			// An inactive socket will not retry on its own
+			setStatus(newSocket.active ? "reconnecting" : "disconnected");
+
+			// The server rejected the handshake, most likely an expired token.
+			// Refresh once and reconnect; a failed refresh signs the user out.
+			if (!newSocket.active && !authRetried) {
+				authRetried = true;
+				refreshAccessToken()
+					.then(() => newSocket.connect())
+					.catch((err) => log.error("Error refreshing socket auth:", err));
+			}
+		});
+
+		newSocket.io.on("reconnect_attempt", (attempt) => {
+			log.debug("Reconnect attempt", { attempt });
+			setStatus("reconnecting");
+		});
+
+		newSocket.on("update", (data) => {
+			log.debug("Received update", data);
+			queueUpdates([data]);
+		});
+
+		return () => {
+			cancelAnimationFrame(frameId);
+			clearTimeout(timerId);
+			newSocket.close();
+			socketRef.current = null;
+		};
+	}, []);
+
+	// Subscribe and unsubscribe so the server sends updates for exactly these
+	// trackers; changes made while disconnected are applied on connect
+	const syncSubscriptions = useCallback((trackerIds) => {
+		const desired = new Set(trackerIds);
+		const current = subscriptionsRef.current;
+		const connectedSocket = socketRef.current?.connected
+			? socketRef.current
+			: null;
+		let changed = false;
+
+		current.forEach((trackerId) => {
+			if (desired.has(trackerId)) return;
+			current.delete(trackerId);
+			delete lastUpdateRef.current[trackerId];
+			connectedSocket?.emit("unsubscribe", { trackerId });
+			changed = true;
+		});
+
+		desired.forEach((trackerId) => {
+			if (current.has(trackerId)) return;
+			current.add(trackerId);
+			connectedSocket?.emit("subscribe", { trackerId });
+			changed = true;
+		});
+
+		if (changed) {
+			log.debug("Subscriptions changed", { trackerIds: [...current] });
+			setSubscribedIds(new Set(current));
+		}
+	}, []);
+
+	return { socket, status, subscribedIds, syncSubscriptions };
+};
+
+export default useTrackerSocket;
@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback } from "react";
+
+export const TRAIL_MAX_POINTS = 100;
+export const TRAIL_MAX_AGE = 15 * 60 * 1000;
+const PRUNE_INTERVAL = 30 * 1000;
+
+// Drop points beyond the point cap or older than the age cap
+const trimTrail = (points, now) =>
+	points
+		.filter((point) => now - point.time <= TRAIL_MAX_AGE)
+		.slice(-TRAIL_MAX_POINTS);
+
+// Rolling in-memory trails of recent live positions, keyed by trackerId
+const useTrackerTrails = () => {
+	const [trails, setTrails] = useState({});
+	const [hiddenTrails, setHiddenTrails] = useState(() => new Set());
+
+	const addPoint = useCallback((trackerId, location, timestamp) => {
+		const time = new Date(timestamp || Date.now()).getTime();
+		setTrails((prev) => {
+			const points = prev[trackerId] || [];
+			const last = points[points.length - 1];
+			// Ignore repeated positions so a parked tracker does not grow its trail
+			if (last && last.lat === location.lat && last.lng === location.lng) {
+				return prev;
+			}
+			const next = [...points, { lat: location.lat, lng: location.lng, time }];
+			// Backfilled points can arrive after newer live ones
+			if (last && time < last.time) {
+				next.sort((a, b) => a.time - b.time);
+			}
+			return { ...prev, [trackerId]: trimTrail(next, Date.now()) };
+		});
+	}, []);
+
+	const removeTrail = useCallback((trackerId) => {
+		setTrails((prev) => {
+			if (!prev[trackerId]) return prev;
+			const { [trackerId]: removed, ...rest } = prev;
+			return rest;
+		});
+	}, []);
+
+	const toggleTrail = useCallback((trackerId) => {
+		setHiddenTrails((prev) => {
+			const next = new Set(prev);
+			if (next.has(trackerId)) {
+				next.delete(trackerId);
+			} else {
+				next.add(trackerId);
+			}
+			return next;
+		});
+	}, []);
+
+	const isTrailVisible = (trackerId) => !hiddenTrails.has(trackerId);
+
+	// Periodically expire old points even when no updates arrive
+	useEffect(() => {
+		const intervalId = setInterval(() => {
+			const now = Date.now();
+			setTrails((prev) => {
+				let changed = false;
+				const next = {};
+				Object.entries(prev).forEach(([trackerId, points]) => {
+					const trimmed = trimTrail(points, now);
+					if (trimmed.length !== points.length) changed = true;
+					if (trimmed.length > 0) next[trackerId] = trimmed;
+				});
+				return changed ? next : prev;
+			});
+		}, PRUNE_INTERVAL);
+
+		return () => clearInterval(intervalId);
+	}, []);
+
+	return { trails, addPoint, removeTrail, toggleTrail, isTrailVisible };
+};
+
+export default useTrackerTrails;
@@ -0,0 +1,19 @@
+import { useState, useEffect, useMemo } from "react";
+import { detectTrips } from "../utils/trips";
+
+// Trips and stops detected in the loaded history, plus the highlighted trip
+const useTrips = (points) => {
+	const { trips, stops } = useMemo(() => detectTrips(points), [points]);
+	const [selectedTripId, setSelectedTripId] = useState(null);
+
+	// A new history load invalidates the previous selection
+	useEffect(() => {
+		setSelectedTripId(null);
+	}, [points]);
+
+	const selectedTrip = trips.find((trip) => trip.id === selectedTripId) || null;
+
+	return { trips, stops, selectedTrip, setSelectedTripId };
+};
+
+export default useTrips;
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+
+export const UNDO_DELAY = 8000;
+
+// Destructive actions that only run after an undo window has passed.
+// schedule({ message, commit, undo }) applies nothing itself: the caller
+// updates local state first, commit() does the real work when the window
+// closes and undo() restores the local state if the user changes their mind.
+const useUndoQueue = () => {
+	const [pending, setPending] = useState([]);
+	const actionsRef = useRef(new Map());
+	const nextIdRef = useRef(1);
+
+	const finish = useCallback((id) => {
+		const action = actionsRef.current.get(id);
+		if (!action) return null;
+		clearTimeout(action.timerId);
+		actionsRef.current.delete(id);
+		setPending((prev) => prev.filter((item) => item.id !== id));
+		return action;
+	}, []);
+
+	const commit = useCallback(
+		(id) => {
+			const action = finish(id);
+			if (action) action.commit();
+		},
+		[finish]
+	);
+
+	const undo = useCallback(
+		(id) => {
+			const action = finish(id);
+			if (action) action.undo();
+		},
+		[finish]
+	);
+
+	const schedule = useCallback(
+		({
+			message,
+			commit: commitAction,
+			undo: undoAction,
+			delay = UNDO_DELAY,
+		}) => {
+			const id = nextIdRef.current++;
+			const timerId = setTimeout(() => commit(id), delay);
+			actionsRef.current.set(id, {
+				commit: commitAction,
+				undo: undoAction,
+				timerId,
+			});
+			setPending((prev) => [
+				...prev,
+				{ id, message, expiresAt: Date.now() + delay },
+			]);
+			return id;
+		},
+		[commit]
+	);
+
+	// Actions still waiting when the page goes away are dropped, which leaves
+	// the server untouched rather than deleting without a chance to undo
+	useEffect(() => {
+		const actions = actionsRef.current;
+		return () => actions.forEach((action) => clearTimeout(action.timerId));
+	}, []);
+
+	return { pending, schedule, undo, commit };
+};
+
+export default useUndoQueue;
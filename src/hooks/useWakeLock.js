@@ -0,0 +1,59 @@
+import { useState, useEffect } from "react";
+import { createLogger } from "../logger";
+
+const log = createLogger("geo");
+
+// Hold a Screen Wake Lock while active so the screen, and with it the GPS
+// watch, isn't switched off. The browser drops the lock whenever the page is
+// hidden, so it is requested again when the page becomes visible.
+const useWakeLock = (active) => {
+	const supported = typeof navigator !== "undefined" && "wakeLock" in navigator;
+	const [held, setHeld] = useState(false);
+
+	useEffect(() => {
+		if (!active || !supported) return;
+
+		let sentinel = null;
+		let cancelled = false;
+
+		const handleRelease = () => setHeld(false);
+
+		const acquire = async () => {
+			if (document.visibilityState !== "visible" || sentinel) return;
+			try {
+				const lock = await navigator.wakeLock.request("screen");
+				if (cancelled) {
+					lock.release();
+					return;
+				}
+				sentinel = lock;
+				sentinel.addEventListener("release", () => {
+					sentinel = null;
+					handleRelease();
+				});
+				setHeld(true);
+			} catch (err) {
+				// Denied in battery saver mode or without a user gesture
+				log.warn("Wake lock request failed:", err);
+			}
+		};
+
+		const handleVisibilityChange = () => {
+			if (document.visibilityState === "visible") acquire();
+		};
+
+		acquire();
+		document.addEventListener("visibilitychange", handleVisibilityChange);
+
+		return () => {
+			cancelled = true;
+			document.removeEventListener("visibilitychange", handleVisibilityChange);
+			if (sentinel) sentinel.release();
+			setHeld(false);
+		};
+	}, [active, supported]);
+
+	return { supported, held };
+};
+
+export default useWakeLock;
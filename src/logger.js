@@ -0,0 +1,104 @@
+// Leveled logger with an in-memory ring buffer for the diagnostics drawer.
+// Only warnings and errors reach the console unless REACT_APP_DEBUG=true,
+// so production consoles don't fill up with user locations.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+export const DEBUG = process.env.REACT_APP_DEBUG === "true";
+
+const CONSOLE_MIN_LEVEL = DEBUG ? "debug" : "warn";
+const BUFFER_SIZE = 500;
+
+const buffer = [];
+const listeners = new Set();
+let nextId = 1;
+
+const levelRank = (level) => LOG_LEVELS.indexOf(level);
+
+// Errors don't survive JSON.stringify, so keep their useful fields
+const serialize = (data) => {
+	if (data instanceof Error) {
+		return {
+			name: data.name,
+			message: data.message,
+			type: data.type,
+			status: data.status,
+			code: data.code,
+			request: data.request,
+		};
+	}
+	// GeolocationPositionError isn't an Error either
+	if (
+		data &&
+		typeof data.code === "number" &&
+		typeof data.message === "string"
+	) {
+		return { code: data.code, message: data.message };
+	}
+	if (data === undefined) return undefined;
+	// Snapshot the data so later mutations don't change the log
+	try {
+		return JSON.parse(JSON.stringify(data));
+	} catch (err) {
+		return String(data);
+	}
+};
+
+const write = (level, category, message, data) => {
+	const entry = {
+		id: nextId++,
+		time: Date.now(),
+		level,
+		category,
+		message,
+		data: serialize(data),
+	};
+
+	buffer.push(entry);
+	if (buffer.length > BUFFER_SIZE) buffer.shift();
+	listeners.forEach((listener) => listener(entry));
+
+	if (levelRank(level) >= levelRank(CONSOLE_MIN_LEVEL)) {
+		// The serialized copy, never the raw object: an ApiError's cause holds
+		// the request config with its body and Authorization header
+		const args = [`[${category}] ${message}`];
+		if (entry.data !== undefined) args.push(entry.data);
+		console[level === "debug" ? "log" : level](...args);
+	}
+};
+
+// Logger bound to a category such as "api", "socket" or "geo"
+export const createLogger = (category) => ({
+	debug: (message, data) => write("debug", category, message, data),
+	info: (message, data) => write("info", category, message, data),
+	warn: (message, data) => write("warn", category, message, data),
+	error: (message, data) => write("error", category, message, data),
+});
+
+export const logBuffer = {
+	getEntries: () => [...buffer],
+
+	clear: () => {
+		buffer.length = 0;
+		listeners.forEach((listener) => listener(null));
+	},
+
+	// Returns an unsubscribe function; the listener gets null after a clear
+	subscribe: (listener) => {
+		listeners.add(listener);
+		return () => listeners.delete(listener);
+	},
+
+	// Snapshot for attaching to bug reports
+	toJSON: () =>
+		JSON.stringify(
+			{
+				exportedAt: new Date().toISOString(),
+				userAgent: navigator.userAgent,
+				debug: DEBUG,
+				entries: buffer,
+			},
+			null,
+			2
+		),
+};
@@ -0,0 +1,109 @@
+import { ApiError, API_ERROR_TYPES } from "./apiErrors";
+
+// Durable IndexedDB queue for location updates that could not be sent.
+// public/service-worker.js reads the same database, keep the names in sync.
+
+const DB_NAME = "node-tracker";
+const DB_VERSION = 2;
+const STORE_NAME = "pendingUpdates";
+// What the service worker needs to replay the queue with no page open
+const SETTINGS_STORE = "settings";
+const DELIVERY_KEY = "delivery";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+	if (!dbPromise) {
+		dbPromise = new Promise((resolve, reject) => {
+			if (!window.indexedDB) {
+				reject(new Error("IndexedDB is not supported by this browser"));
+				return;
+			}
+
+			const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+			request.onupgradeneeded = (event) => {
+				const db = request.result;
+				if (event.oldVersion < 1) {
+					const store = db.createObjectStore(STORE_NAME, {
+						keyPath: "id",
+						autoIncrement: true,
+					});
+					store.createIndex("timestamp", "timestamp");
+				}
+				if (event.oldVersion < 2) {
+					db.createObjectStore(SETTINGS_STORE);
+				}
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		}).catch((err) => {
+			// Allow a later call to try opening the database again
+			dbPromise = null;
+			throw err;
+		});
+	}
+	return dbPromise;
+};
+
+// Run a single request in its own transaction and resolve with its result
+const runRequest = async (mode, createRequest, storeName = STORE_NAME) => {
+	const db = await openDatabase();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeName, mode);
+		const request = createRequest(transaction.objectStore(storeName));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+};
+
+// Network failures, timeouts, rate limits and server errors are worth
+// retrying, and so is an expired session once the user signs in again
+export const isRetryableError = (error) => {
+	if (!(error instanceof ApiError)) return true;
+	return error.retryable || error.type === API_ERROR_TYPES.unauthorized;
+};
+
+// Entries queued before owners were recorded belong to whoever signs in
+const isOwnedBy = (owner) => (entry) =>
+	entry.owner === undefined || entry.owner === owner;
+
+export const offlineQueue = {
+	// Save an update for later delivery, ordered by the fix timestamp. owner is
+	// the user who recorded it; only that user's session replays it.
+	enqueue: (trackerId, update, timestamp = Date.now(), owner = null) => {
+		return runRequest("readwrite", (store) =>
+			store.add({ trackerId, update, timestamp, owner, queuedAt: Date.now() })
+		);
+	},
+
+	// Get the owner's queued updates, oldest fix first
+	getAll: async (owner = null) => {
+		const entries = await runRequest("readonly", (store) =>
+			store.index("timestamp").getAll()
+		);
+		return entries.filter(isOwnedBy(owner));
+	},
+
+	// Remove a delivered or rejected update
+	remove: (id) => {
+		return runRequest("readwrite", (store) => store.delete(id));
+	},
+
+	// Number of the owner's updates still waiting to be sent
+	count: async (owner = null) => {
+		const entries = await offlineQueue.getAll(owner);
+		return entries.length;
+	},
+
+	// { apiUrl, accessToken, owner } for the service worker, or null to forget them
+	setDeliveryConfig: (config) => {
+		return runRequest(
+			"readwrite",
+			(store) =>
+				config ? store.put(config, DELIVERY_KEY) : store.delete(DELIVERY_KEY),
+			SETTINGS_STORE
+		);
+	},
+};
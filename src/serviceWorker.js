@@ -0,0 +1,73 @@
+import { authSession } from "./auth";
+import { offlineQueue } from "./offlineQueue";
+import { createLogger } from "./logger";
+
+// Registration of public/service-worker.js and the messages exchanged with it
+
+const log = createLogger("queue");
+
+const API_URL = process.env.REACT_APP_API_URL || "http://localhost:3000";
+// Background Sync tag the service worker replays the offline queue on
+export const QUEUE_SYNC_TAG = "flush-location-updates";
+
+const isSupported = () =>
+	"serviceWorker" in navigator && process.env.NODE_ENV === "production";
+
+// The service worker can't read localStorage, so it gets the token it needs
+// for replaying the queue through IndexedDB
+const syncDeliveryConfig = (session) => {
+	offlineQueue
+		.setDeliveryConfig(
+			session?.accessToken
+				? {
+						apiUrl: API_URL,
+						accessToken: session.accessToken,
+						owner: authSession.getUserId(),
+				  }
+				: null
+		)
+		.catch((err) => log.error("Error saving service worker config:", err));
+};
+
+export const registerServiceWorker = () => {
+	if (!isSupported()) return;
+
+	window.addEventListener("load", () => {
+		navigator.serviceWorker
+			.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+			.then((registration) =>
+				log.info("Service worker registered", { scope: registration.scope })
+			)
+			.catch((err) => log.error("Service worker registration failed:", err));
+	});
+
+	syncDeliveryConfig(authSession.get());
+	authSession.subscribe(syncDeliveryConfig);
+};
+
+// Ask the service worker to replay the queue once connectivity returns, even
+// if the tab has been closed by then
+export const requestQueueSync = async () => {
+	if (!isSupported()) return false;
+	try {
+		const registration = await navigator.serviceWorker.ready;
+		if (!registration.sync) return false;
+		await registration.sync.register(QUEUE_SYNC_TAG);
+		return true;
+	} catch (err) {
+		log.warn("Background sync unavailable:", err);
+		return false;
+	}
+};
+
+// Listen for { type } messages from the service worker, returns an unsubscribe
+export const onServiceWorkerMessage = (type, listener) => {
+	if (!isSupported()) return () => {};
+
+	const handleMessage = (event) => {
+		if (event.data?.type === type) listener(event.data);
+	};
+	navigator.serviceWorker.addEventListener("message", handleMessage);
+	return () =>
+		navigator.serviceWorker.removeEventListener("message", handleMessage);
+};
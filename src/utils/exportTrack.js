@@ -0,0 +1,172 @@
+// Convert normalized history points into GPX, KML and GeoJSON files
+
+export const EXPORT_FORMATS = [
+	{ value: "gpx", label: "GPX", mimeType: "application/gpx+xml" },
+	{
+		value: "kml",
+		label: "KML",
+		mimeType: "application/vnd.google-earth.kml+xml",
+	},
+	{ value: "geojson", label: "GeoJSON", mimeType: "application/geo+json" },
+];
+
+const escapeXml = (value) =>
+	String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+
+const isoTime = (point) => new Date(point.time).toISOString();
+
+const trackName = (tracker) => tracker.name || tracker.trackerId;
+
+export const toGPX = (tracker, points) => {
+	const trackPoints = points
+		.map((point) => {
+			const extensions = [
+				point.accuracy !== null &&
+					`<nt:accuracy>${point.accuracy}</nt:accuracy>`,
+				point.speed !== null && `<nt:speed>${point.speed}</nt:speed>`,
+				point.status !== null &&
+					`<nt:status>${escapeXml(point.status)}</nt:status>`,
+			].filter(Boolean);
+
+			return [
+				`      <trkpt lat="${point.lat}" lon="${point.lng}">`,
+				`        <time>${isoTime(point)}</time>`,
+				extensions.length > 0 &&
+					`        <extensions>${extensions.join("")}</extensions>`,
+				"      </trkpt>",
+			]
+				.filter(Boolean)
+				.join("\n");
+		})
+		.join("\n");
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Node Tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:nt="urn:node-tracker">
+  <metadata>
+    <name>${escapeXml(trackName(tracker))}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+  <trk>
+    <name>${escapeXml(trackName(tracker))}</name>
+    <trkseg>
+${trackPoints}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+};
+
+export const toKML = (tracker, points) => {
+	const when = points
+		.map((point) => `        <when>${isoTime(point)}</when>`)
+		.join("\n");
+	const coords = points
+		.map((point) => `        <gx:coord>${point.lng} ${point.lat} 0</gx:coord>`)
+		.join("\n");
+	const arrayData = (name, getValue) =>
+		[
+			`          <gx:SimpleArrayData name="${name}">`,
+			...points.map(
+				(point) =>
+					`            <gx:value>${escapeXml(getValue(point) ?? "")}</gx:value>`
+			),
+			"          </gx:SimpleArrayData>",
+		].join("\n");
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXml(trackName(tracker))}</name>
+    <Schema id="trackSchema">
+      <gx:SimpleArrayField name="accuracy" type="float" />
+      <gx:SimpleArrayField name="speed" type="float" />
+      <gx:SimpleArrayField name="status" type="string" />
+    </Schema>
+    <Placemark>
+      <name>${escapeXml(trackName(tracker))}</name>
+      <gx:Track>
+${when}
+${coords}
+        <ExtendedData>
+          <SchemaData schemaUrl="#trackSchema">
+${arrayData("accuracy", (point) => point.accuracy)}
+${arrayData("speed", (point) => point.speed)}
+${arrayData("status", (point) => point.status)}
+          </SchemaData>
+        </ExtendedData>
+      </gx:Track>
+    </Placemark>
+  </Document>
+</kml>
+`;
+};
+
+export const toGeoJSON = (tracker, points) => {
+	const pointFeatures = points.map((point) => ({
+		type: "Feature",
+		geometry: { type: "Point", coordinates: [point.lng, point.lat] },
+		properties: {
+			trackerId: tracker.trackerId,
+			time: isoTime(point),
+			accuracy: point.accuracy,
+			speed: point.speed,
+			status: point.status,
+		},
+	}));
+
+	const lineFeature = {
+		type: "Feature",
+		geometry: {
+			type: "LineString",
+			coordinates: points.map((point) => [point.lng, point.lat]),
+		},
+		properties: {
+			trackerId: tracker.trackerId,
+			name: trackName(tracker),
+			coordTimes: points.map(isoTime),
+		},
+	};
+
+	return JSON.stringify(
+		{ type: "FeatureCollection", features: [lineFeature, ...pointFeatures] },
+		null,
+		2
+	);
+};
+
+const SERIALIZERS = { gpx: toGPX, kml: toKML, geojson: toGeoJSON };
+
+// Save text content as a file through a temporary link
+export const downloadFile = (content, mimeType, filename) => {
+	const blob = new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	document.body.removeChild(link);
+	URL.revokeObjectURL(url);
+};
+
+// Serialize the points and trigger a browser download
+export const downloadTrack = (tracker, points, format) => {
+	const exportFormat = EXPORT_FORMATS.find((item) => item.value === format);
+	if (!exportFormat) {
+		throw new Error(`Unsupported export format: ${format}`);
+	}
+
+	const content = SERIALIZERS[format](tracker, points);
+	const date = new Date().toISOString().slice(0, 10);
+	downloadFile(
+		content,
+		exportFormat.mimeType,
+		`${tracker.trackerId}-${date}.${format}`
+	);
+};
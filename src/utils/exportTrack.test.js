@@ -0,0 +1,111 @@
+import { toGPX, toKML, toGeoJSON, downloadTrack } from "./exportTrack";
+import { parseTrackFile } from "./importTrack";
+
+const tracker = { trackerId: "van-1", name: 'Van <1> & "Co"' };
+
+const points = [
+	{
+		lat: 51.5,
+		lng: -0.14,
+		time: Date.UTC(2024, 0, 1, 8, 0),
+		accuracy: 12,
+		speed: 3.5,
+		status: "active",
+	},
+	{
+		lat: 51.501,
+		lng: -0.141,
+		time: Date.UTC(2024, 0, 1, 8, 1),
+		accuracy: null,
+		speed: null,
+		status: null,
+	},
+];
+
+const parseXml = (text) =>
+	new DOMParser().parseFromString(text, "application/xml");
+
+describe("toGPX", () => {
+	it("writes valid XML with the tracker name escaped", () => {
+		const doc = parseXml(toGPX(tracker, points));
+
+		expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+		expect(doc.querySelector("trk > name").textContent).toBe(tracker.name);
+		expect(doc.getElementsByTagName("trkpt")).toHaveLength(2);
+	});
+
+	it("only writes extensions for known values", () => {
+		const gpx = toGPX(tracker, points);
+
+		expect(gpx).toContain(
+			"<extensions><nt:accuracy>12</nt:accuracy><nt:speed>3.5</nt:speed><nt:status>active</nt:status></extensions>"
+		);
+		expect(gpx.match(/<extensions>/g)).toHaveLength(1);
+	});
+
+	it("round-trips through the importer", async () => {
+		const gpx = toGPX(tracker, points);
+		const result = await parseTrackFile({
+			name: "van.gpx",
+			text: async () => gpx,
+		});
+
+		expect(result.points).toEqual(points);
+	});
+});
+
+describe("toKML", () => {
+	it("writes one when, coord and value per point", () => {
+		const doc = parseXml(toKML(tracker, points));
+
+		expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+		expect(doc.getElementsByTagName("when")).toHaveLength(2);
+		expect(
+			Array.from(doc.getElementsByTagName("gx:coord")).map(
+				(node) => node.textContent
+			)
+		).toEqual(["-0.14 51.5 0", "-0.141 51.501 0"]);
+		expect(
+			Array.from(doc.getElementsByTagName("gx:value"))
+				.slice(0, 2)
+				.map((node) => node.textContent)
+		).toEqual(["12", ""]);
+	});
+});
+
+describe("toGeoJSON", () => {
+	it("writes a line with coordTimes and a Point feature per fix", () => {
+		const data = JSON.parse(toGeoJSON(tracker, points));
+		const [line, ...fixes] = data.features;
+
+		expect(line.geometry.coordinates).toEqual([
+			[-0.14, 51.5],
+			[-0.141, 51.501],
+		]);
+		expect(line.properties.coordTimes).toEqual([
+			"2024-01-01T08:00:00.000Z",
+			"2024-01-01T08:01:00.000Z",
+		]);
+		expect(fixes).toHaveLength(2);
+		expect(fixes[0].properties).toMatchObject({ accuracy: 12, speed: 3.5 });
+	});
+
+	it("round-trips through the importer", async () => {
+		const geojson = toGeoJSON(tracker, points);
+		const result = await parseTrackFile({
+			name: "van.geojson",
+			text: async () => geojson,
+		});
+
+		expect(result.name).toBe(tracker.name);
+		expect(result.points).toEqual(points);
+	});
+});
+
+describe("downloadTrack", () => {
+	it("rejects unknown formats", () => {
+		expect(() => downloadTrack(tracker, points, "csv")).toThrow(
+			"Unsupported export format: csv"
+		);
+	});
+});
@@ -0,0 +1,54 @@
+// Geographic helper functions shared by the map components
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Normalize a GeoJSON Point or a { lat, lng } object into { lat, lng }
+export const toLatLng = (location) => {
+	if (!location) return null;
+
+	if (Array.isArray(location.coordinates)) {
+		const [lng, lat] = location.coordinates;
+		return { lat, lng };
+	}
+
+	if (typeof location.lat === "number" && typeof location.lng === "number") {
+		return { lat: location.lat, lng: location.lng };
+	}
+
+	return null;
+};
+
+// Great-circle distance between two { lat, lng } points in meters
+export const distanceMeters = (from, to) => {
+	const dLat = toRadians(to.lat - from.lat);
+	const dLng = toRadians(to.lng - from.lng);
+	const a =
+		Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+		Math.cos(toRadians(from.lat)) *
+			Math.cos(toRadians(to.lat)) *
+			Math.sin(dLng / 2) *
+			Math.sin(dLng / 2);
+
+	return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Linear interpolation between two { lat, lng } points, ratio in [0, 1]
+export const interpolate = (from, to, ratio) => ({
+	lat: from.lat + (to.lat - from.lat) * ratio,
+	lng: from.lng + (to.lng - from.lng) * ratio,
+});
+
+// Initial compass bearing from one { lat, lng } point to another, 0-360 degrees
+export const bearingDegrees = (from, to) => {
+	const dLng = toRadians(to.lng - from.lng);
+	const y = Math.sin(dLng) * Math.cos(toRadians(to.lat));
+	const x =
+		Math.cos(toRadians(from.lat)) * Math.sin(toRadians(to.lat)) -
+		Math.sin(toRadians(from.lat)) *
+			Math.cos(toRadians(to.lat)) *
+			Math.cos(dLng);
+
+	return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
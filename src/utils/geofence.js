@@ -0,0 +1,29 @@
+import { distanceMeters } from "./geo";
+
+// Ray casting point-in-polygon test on lat/lng vertices
+const isInsidePolygon = (vertices, point) => {
+	let inside = false;
+	for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+		const a = vertices[i];
+		const b = vertices[j];
+		const aAbove = a.lat > point.lat;
+		const bAbove = b.lat > point.lat;
+		if (aAbove === bAbove) continue;
+
+		const crossingLng =
+			((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+		if (point.lng < crossingLng) inside = !inside;
+	}
+	return inside;
+};
+
+// Check whether a { lat, lng } point lies inside a circle or polygon geofence
+export const isInsideGeofence = (geofence, point) => {
+	if (geofence.type === "circle") {
+		return distanceMeters(geofence.center, point) <= geofence.radius;
+	}
+	if (geofence.type === "polygon") {
+		return isInsidePolygon(geofence.points, point);
+	}
+	return false;
+};
@@ -0,0 +1,125 @@
+import { distanceMeters } from "./geo";
+
+export const FILTER_MODES = [
+	{ value: "raw", label: "Raw" },
+	{ value: "outliers", label: "Reject outliers" },
+	{ value: "smoothed", label: "Smoothed (Kalman)" },
+];
+
+// Fastest plausible movement; faster jumps are treated as multipath glitches
+const DEFAULT_MAX_SPEED = 70; // m/s, about 250 km/h
+// Expected change in velocity per second, the Kalman process noise
+const DEFAULT_PROCESS_NOISE = 3; // m/s
+// After this many rejections in a row the device has probably really moved
+const MAX_CONSECUTIVE_REJECTIONS = 3;
+// Browsers occasionally report 0 m accuracy, which would freeze the filter
+const MIN_ACCURACY = 1;
+
+// Kalman filter over lat/lng with a single variance in m², using the
+// reported accuracy as the measurement noise
+export const createKalmanFilter = (processNoise = DEFAULT_PROCESS_NOISE) => {
+	let state = null;
+
+	return {
+		reset: () => {
+			state = null;
+		},
+
+		update: (fix) => {
+			const accuracy = Math.max(fix.accuracy || 0, MIN_ACCURACY);
+			const measurementVariance = accuracy * accuracy;
+
+			if (!state) {
+				state = {
+					lat: fix.lat,
+					lng: fix.lng,
+					variance: measurementVariance,
+					timestamp: fix.timestamp,
+				};
+			} else {
+				const elapsed = (fix.timestamp - state.timestamp) / 1000;
+				if (elapsed > 0) {
+					state.variance += elapsed * processNoise * processNoise;
+					state.timestamp = fix.timestamp;
+				}
+
+				const gain = state.variance / (state.variance + measurementVariance);
+				state.lat += gain * (fix.lat - state.lat);
+				state.lng += gain * (fix.lng - state.lng);
+				state.variance = (1 - gain) * state.variance;
+			}
+
+			// accuracy stays the measured one so accuracy rules still see poor
+			// fixes; the filter's own estimate is only ever smaller
+			return {
+				...fix,
+				lat: state.lat,
+				lng: state.lng,
+				smoothedAccuracy: Math.sqrt(state.variance),
+				raw: { lat: fix.lat, lng: fix.lng, accuracy: fix.accuracy },
+			};
+		},
+	};
+};
+
+// A fix is an outlier when reaching it from the previous one would need an
+// implausible speed, allowing for both fixes' accuracy
+export const isOutlier = (previous, fix, maxSpeed = DEFAULT_MAX_SPEED) => {
+	if (!previous) return false;
+
+	const elapsed = Math.max((fix.timestamp - previous.timestamp) / 1000, 1);
+	const slack = (previous.accuracy || 0) + (fix.accuracy || 0);
+	const distance = Math.max(distanceMeters(previous, fix) - slack, 0);
+
+	return distance / elapsed > maxSpeed;
+};
+
+// Filtering stage for raw geolocation fixes.
+// process() returns the (possibly smoothed) fix, or null when it was rejected.
+export const createFixFilter = ({
+	mode = "smoothed",
+	maxSpeed = DEFAULT_MAX_SPEED,
+	processNoise = DEFAULT_PROCESS_NOISE,
+	onReject,
+} = {}) => {
+	const kalman = createKalmanFilter(processNoise);
+	let currentMode = mode;
+	let lastAccepted = null;
+	let rejectedInRow = 0;
+
+	const reset = () => {
+		kalman.reset();
+		lastAccepted = null;
+		rejectedInRow = 0;
+	};
+
+	return {
+		reset,
+
+		getMode: () => currentMode,
+
+		setMode: (nextMode) => {
+			if (nextMode === currentMode) return;
+			currentMode = nextMode;
+			reset();
+		},
+
+		process: (fix) => {
+			if (currentMode === "raw") return fix;
+
+			if (isOutlier(lastAccepted, fix, maxSpeed)) {
+				rejectedInRow++;
+				if (rejectedInRow < MAX_CONSECUTIVE_REJECTIONS) {
+					if (onReject) onReject(fix);
+					return null;
+				}
+				// Several "outliers" agreeing with each other are a real relocation
+				kalman.reset();
+			}
+
+			rejectedInRow = 0;
+			lastAccepted = fix;
+			return currentMode === "smoothed" ? kalman.update(fix) : fix;
+		},
+	};
+};
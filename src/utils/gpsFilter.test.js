@@ -0,0 +1,119 @@
+import { createKalmanFilter, createFixFilter, isOutlier } from "./gpsFilter";
+
+const START = Date.UTC(2024, 0, 1, 8, 0);
+
+// 0.001° of latitude is about 111 m
+const fix = (seconds, lat, accuracy = 10, lng = 0) => ({
+	lat,
+	lng,
+	accuracy,
+	timestamp: START + seconds * 1000,
+});
+
+describe("isOutlier", () => {
+	it("accepts the first fix", () => {
+		expect(isOutlier(null, fix(0, 0))).toBe(false);
+	});
+
+	it("accepts plausible movement", () => {
+		// About 111 m in 10 s
+		expect(isOutlier(fix(0, 0), fix(10, 0.001))).toBe(false);
+	});
+
+	it("rejects a jump that would need an implausible speed", () => {
+		// About 11 km in 10 s
+		expect(isOutlier(fix(0, 0), fix(10, 0.1))).toBe(true);
+	});
+
+	it("allows for both fixes' accuracy", () => {
+		// About 1.1 km in 10 s, but each fix could be 600 m off
+		expect(isOutlier(fix(0, 0, 600), fix(10, 0.01, 600))).toBe(false);
+		expect(isOutlier(fix(0, 0, 5), fix(10, 0.01, 5))).toBe(true);
+	});
+});
+
+describe("createKalmanFilter", () => {
+	it("passes the first fix through with its own accuracy", () => {
+		const filter = createKalmanFilter();
+		const result = filter.update(fix(0, 0.001, 20));
+
+		expect(result.lat).toBe(0.001);
+		expect(result.smoothedAccuracy).toBe(20);
+	});
+
+	it("keeps the measured accuracy and the raw reading on smoothed fixes", () => {
+		const filter = createKalmanFilter();
+		filter.update(fix(0, 0, 10));
+		const result = filter.update(fix(1, 0.001, 80));
+
+		expect(result.accuracy).toBe(80);
+		expect(result.raw).toEqual({ lat: 0.001, lng: 0, accuracy: 80 });
+		expect(result.smoothedAccuracy).toBeLessThan(80);
+	});
+
+	it("weights a poor fix less than a good one", () => {
+		const good = createKalmanFilter();
+		good.update(fix(0, 0, 10));
+		const poor = createKalmanFilter();
+		poor.update(fix(0, 0, 10));
+
+		const afterGood = good.update(fix(1, 0.001, 10));
+		const afterPoor = poor.update(fix(1, 0.001, 100));
+
+		expect(afterGood.lat).toBeGreaterThan(afterPoor.lat);
+		expect(afterPoor.lat).toBeGreaterThan(0);
+		expect(afterGood.lat).toBeLessThan(0.001);
+	});
+
+	it("starts over after a reset", () => {
+		const filter = createKalmanFilter();
+		filter.update(fix(0, 0));
+		filter.reset();
+
+		expect(filter.update(fix(1, 0.5)).lat).toBe(0.5);
+	});
+});
+
+describe("createFixFilter", () => {
+	it("passes fixes through untouched in raw mode", () => {
+		const filter = createFixFilter({ mode: "raw" });
+		const jump = fix(10, 0.1);
+		filter.process(fix(0, 0));
+
+		expect(filter.process(jump)).toBe(jump);
+	});
+
+	it("drops outliers without smoothing in outliers mode", () => {
+		const onReject = jest.fn();
+		const filter = createFixFilter({ mode: "outliers", onReject });
+		const next = fix(10, 0.001);
+		filter.process(fix(0, 0));
+
+		expect(filter.process(fix(5, 0.1))).toBeNull();
+		expect(onReject).toHaveBeenCalledTimes(1);
+		expect(filter.process(next)).toBe(next);
+	});
+
+	it("accepts a relocation once several outliers agree", () => {
+		const filter = createFixFilter({ mode: "smoothed" });
+		filter.process(fix(0, 0));
+
+		expect(filter.process(fix(10, 0.1))).toBeNull();
+		expect(filter.process(fix(11, 0.1))).toBeNull();
+		const accepted = filter.process(fix(12, 0.1));
+
+		// The Kalman state restarts at the new position
+		expect(accepted.lat).toBe(0.1);
+	});
+
+	it("resets when the mode changes", () => {
+		const filter = createFixFilter({ mode: "smoothed" });
+		filter.process(fix(0, 0));
+		filter.setMode("outliers");
+
+		expect(filter.getMode()).toBe("outliers");
+		// No previous fix to compare with after the reset
+		const far = fix(1, 0.5);
+		expect(filter.process(far)).toBe(far);
+	});
+});
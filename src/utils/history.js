@@ -0,0 +1,63 @@
+import { toLatLng, interpolate } from "./geo";
+
+// Pull the list of entries out of a getTrackerHistory response
+const extractEntries = (data) => {
+	if (Array.isArray(data)) return data;
+	if (!data) return [];
+	return data.history || data.updates || data.data || [];
+};
+
+// Normalize history entries into points sorted by time
+export const normalizeHistory = (data) => {
+	return extractEntries(data)
+		.map((entry) => {
+			const position = toLatLng(entry.location);
+			const time = new Date(entry.timestamp || entry.createdAt).getTime();
+			if (!position || Number.isNaN(time)) return null;
+
+			const meta = entry.meta || {};
+			return {
+				...position,
+				time,
+				accuracy: entry.accuracy ?? meta.accuracy ?? null,
+				speed: entry.speed ?? meta.speed ?? null,
+				status: entry.status ?? null,
+				meta,
+			};
+		})
+		.filter(Boolean)
+		.sort((a, b) => a.time - b.time);
+};
+
+// Index of the last point at or before the given time
+export const indexAtTime = (points, time) => {
+	let low = 0;
+	let high = points.length - 1;
+
+	while (low < high) {
+		const mid = Math.ceil((low + high) / 2);
+		if (points[mid].time <= time) {
+			low = mid;
+		} else {
+			high = mid - 1;
+		}
+	}
+
+	return low;
+};
+
+// Interpolated position along the track at the given time
+export const positionAtTime = (points, time) => {
+	if (points.length === 0) return null;
+	if (time <= points[0].time) return points[0];
+
+	const last = points[points.length - 1];
+	if (time >= last.time) return last;
+
+	const index = indexAtTime(points, time);
+	const from = points[index];
+	const to = points[index + 1];
+	const ratio = (time - from.time) / (to.time - from.time || 1);
+
+	return { ...from, ...interpolate(from, to, ratio), time };
+};
@@ -0,0 +1,58 @@
+import L from "leaflet";
+
+// Icons are cached so re-renders do not make Leaflet swap marker elements
+const iconCache = new Map();
+
+const cached = (key, create) => {
+	if (!iconCache.has(key)) {
+		iconCache.set(key, create());
+	}
+	return iconCache.get(key);
+};
+
+// Tracker colours and icons come from the server, so keep them out of the markup
+const escapeHtml = (value) =>
+	String(value).replace(
+		/[&<>"']/g,
+		(char) =>
+			({
+				"&": "&amp;",
+				"<": "&lt;",
+				">": "&gt;",
+				'"': "&quot;",
+				"'": "&#39;",
+			}[char])
+	);
+
+// Custom marker icons; highlighted markers (checked for bulk actions) get a
+// yellow ring
+export const createCustomIcon = (
+	rawColor = "blue",
+	rawSymbol = "",
+	highlighted = false
+) => {
+	const color = escapeHtml(rawColor);
+	const symbol = escapeHtml(rawSymbol || "");
+	const border = highlighted ? "3px solid #ffc107" : "2px solid white";
+	return cached(`marker:${color}:${symbol}:${highlighted}`, () =>
+		L.divIcon({
+			className: "custom-div-icon",
+			html: `<div style="background-color:${color}; width: 20px; height: 20px; line-height: 16px; text-align: center; font-size: 11px; border-radius: 50%; border: ${border}; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">${symbol}</div>`,
+			iconSize: [20, 20],
+			iconAnchor: [10, 10],
+		})
+	);
+};
+
+// Cluster icon sized by the number of markers it contains
+export const createClusterIcon = (count) => {
+	const size = count < 10 ? 30 : count < 100 ? 36 : count < 1000 ? 44 : 52;
+	return cached(`cluster:${count}`, () =>
+		L.divIcon({
+			className: "custom-div-icon",
+			html: `<div style="background-color: rgba(0,123,255,0.85); color: white; width: ${size}px; height: ${size}px; line-height: ${size}px; border-radius: 50%; border: 3px solid rgba(255,255,255,0.8); box-shadow: 0 2px 4px rgba(0,0,0,0.3); text-align: center; font-weight: bold; font-size: 12px;">${count}</div>`,
+			iconSize: [size, size],
+			iconAnchor: [size / 2, size / 2],
+		})
+	);
+};
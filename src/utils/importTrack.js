@@ -0,0 +1,223 @@
+// Parse GPX and GeoJSON files into points shaped like normalized history
+
+const toNumber = (value) => {
+	if (value === null || value === undefined || value === "") return null;
+	const number = Number(value);
+	return Number.isFinite(number) ? number : null;
+};
+
+const toTime = (value) => {
+	if (!value) return null;
+	const time = new Date(value).getTime();
+	return Number.isNaN(time) ? null : time;
+};
+
+const createPoint = (lat, lng, { time, accuracy, speed, status } = {}) => ({
+	lat,
+	lng,
+	time: toTime(time),
+	accuracy: toNumber(accuracy),
+	speed: toNumber(speed),
+	status: status || null,
+});
+
+// Text content of the first descendant with this local name, ignoring namespaces
+const childText = (element, localName) => {
+	const match = Array.from(element.getElementsByTagName("*")).find(
+		(child) => child.localName === localName
+	);
+	return match ? match.textContent.trim() : null;
+};
+
+const parseGPX = (text) => {
+	const doc = new DOMParser().parseFromString(text, "application/xml");
+	if (doc.getElementsByTagName("parsererror").length > 0) {
+		throw new Error("The GPX file is not valid XML");
+	}
+
+	// Prefer track points, then route points, then standalone waypoints
+	const elements = ["trkpt", "rtept", "wpt"]
+		.map((tag) => Array.from(doc.getElementsByTagName(tag)))
+		.find((list) => list.length > 0);
+
+	const points = (elements || []).map((element) =>
+		createPoint(
+			toNumber(element.getAttribute("lat")),
+			toNumber(element.getAttribute("lon")),
+			{
+				time: childText(element, "time"),
+				accuracy: childText(element, "accuracy"),
+				speed: childText(element, "speed"),
+				status: childText(element, "status"),
+			}
+		)
+	);
+
+	const nameElement = doc.querySelector("trk > name, metadata > name");
+	return {
+		name: nameElement ? nameElement.textContent.trim() : null,
+		points,
+		skipped: [],
+	};
+};
+
+const isPosition = (value) =>
+	Array.isArray(value) &&
+	value.length >= 2 &&
+	value.slice(0, 2).every((coordinate) => typeof coordinate === "number");
+
+const isLine = (value) => Array.isArray(value) && value.every(isPosition);
+
+// Why a feature's geometry can't be read, or null when it can
+const invalidGeometry = (feature) => {
+	const geometry = feature && (feature.geometry || feature);
+	if (!geometry || typeof geometry !== "object") return "missing geometry";
+
+	const { type, coordinates } = geometry;
+	if (type === "Point" && !isPosition(coordinates)) {
+		return "Point without valid coordinates";
+	}
+	if (type === "LineString" && !isLine(coordinates)) {
+		return "LineString without valid coordinates";
+	}
+	if (
+		type === "MultiLineString" &&
+		!(Array.isArray(coordinates) && coordinates.every(isLine))
+	) {
+		return "MultiLineString without valid coordinates";
+	}
+	return null;
+};
+
+const pointsFromFeature = (feature) => {
+	const geometry = feature.geometry || feature;
+	const properties = feature.properties || {};
+
+	if (geometry.type === "Point") {
+		const [lng, lat] = geometry.coordinates;
+		return [
+			createPoint(lat, lng, {
+				time: properties.time || properties.timestamp,
+				accuracy: properties.accuracy,
+				speed: properties.speed,
+				status: properties.status,
+			}),
+		];
+	}
+
+	if (geometry.type === "LineString" || geometry.type === "MultiLineString") {
+		const lines =
+			geometry.type === "LineString"
+				? [geometry.coordinates]
+				: geometry.coordinates;
+		// Timestamps per vertex, as written by common GPX-to-GeoJSON converters
+		const times =
+			properties.coordTimes || properties.coordinateProperties?.times || [];
+		const flatTimes = Array.isArray(times[0]) ? times.flat() : times;
+
+		return lines
+			.flat()
+			.map(([lng, lat], index) =>
+				createPoint(lat, lng, { time: flatTimes[index] })
+			);
+	}
+
+	return [];
+};
+
+const parseGeoJSON = (text) => {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (err) {
+		throw new Error("The GeoJSON file is not valid JSON");
+	}
+
+	const collected =
+		data && data.type === "FeatureCollection" ? data.features : [data];
+	const features = [];
+	const skipped = [];
+	(Array.isArray(collected) ? collected : []).forEach((feature) => {
+		const reason = invalidGeometry(feature);
+		if (reason) {
+			skipped.push({ feature, reason });
+		} else {
+			features.push(feature);
+		}
+	});
+
+	const pointFeatures = features.filter(
+		(feature) => (feature.geometry || feature).type === "Point"
+	);
+
+	// Files holding both a line and per-fix points (like our own export) use the points
+	const sources = pointFeatures.length > 0 ? pointFeatures : features;
+	const named = features.find((feature) => feature.properties?.name);
+
+	return {
+		name: named ? named.properties.name : null,
+		points: sources.flatMap(pointsFromFeature),
+		skipped,
+	};
+};
+
+// Spacing given to points without a timestamp when they start a new tracker
+export const UNTIMED_POINT_SPACING = 1000;
+
+// Give points without a timestamp one UNTIMED_POINT_SPACING apart in file
+// order, ending at `end`, so they don't all arrive as the same instant
+export const fillMissingTimes = (points, end = Date.now()) =>
+	points.map((point, index) =>
+		point.time !== null
+			? point
+			: {
+					...point,
+					time: end - (points.length - 1 - index) * UNTIMED_POINT_SPACING,
+			  }
+	);
+
+// Read a File and return { name, points, skipped } with points sorted by time
+// where known. skipped lists [{ feature, reason }] for features that were
+// left out, so the caller can report them.
+export const parseTrackFile = async (file) => {
+	const text = await file.text();
+	const extension = file.name.split(".").pop().toLowerCase();
+	const isGPX =
+		extension === "gpx" ||
+		(extension !== "json" && text.trim().startsWith("<"));
+
+	const { name, points, skipped } = isGPX ? parseGPX(text) : parseGeoJSON(text);
+	const valid = points.filter(
+		(point) =>
+			point.lat !== null &&
+			point.lng !== null &&
+			Math.abs(point.lat) <= 90 &&
+			Math.abs(point.lng) <= 180
+	);
+
+	const dropped = points.length - valid.length;
+	if (dropped > 0) {
+		skipped.push({
+			feature: null,
+			reason: `${dropped} points with missing or out-of-range coordinates`,
+		});
+	}
+
+	if (valid.length === 0) {
+		const reasons = skipped.map((item) => item.reason).join(", ");
+		throw new Error(
+			`No valid points were found in the file${reasons ? ` (${reasons})` : ""}`
+		);
+	}
+
+	// Keep file order for points without timestamps
+	if (valid.every((point) => point.time !== null)) {
+		valid.sort((a, b) => a.time - b.time);
+	}
+
+	return {
+		name: name || file.name.replace(/\.[^.]+$/, ""),
+		points: valid,
+		skipped,
+	};
+};
@@ -0,0 +1,215 @@
+import {
+	parseTrackFile,
+	fillMissingTimes,
+	UNTIMED_POINT_SPACING,
+} from "./importTrack";
+
+// Just the parts of File that parseTrackFile reads
+const file = (name, content) => ({
+	name,
+	text: async () =>
+		typeof content === "string" ? content : JSON.stringify(content),
+});
+
+const feature = (geometry, properties = {}) => ({
+	type: "Feature",
+	geometry,
+	properties,
+});
+
+const collection = (features) => ({ type: "FeatureCollection", features });
+
+describe("parseTrackFile with GPX", () => {
+	const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1" xmlns:nt="urn:node-tracker">
+  <trk>
+    <name>Morning run</name>
+    <trkseg>
+      <trkpt lat="51.5010" lon="-0.1410">
+        <time>2024-01-01T08:01:00Z</time>
+      </trkpt>
+      <trkpt lat="51.5000" lon="-0.1400">
+        <time>2024-01-01T08:00:00Z</time>
+        <extensions><nt:accuracy>12</nt:accuracy><nt:speed>3.5</nt:speed></extensions>
+      </trkpt>
+    </trkseg>
+  </trk>
+  <wpt lat="1" lon="1"><name>Ignored while track points exist</name></wpt>
+</gpx>`;
+
+	it("reads track points, sorted by time, with their extensions", async () => {
+		const result = await parseTrackFile(file("run.gpx", gpx));
+
+		expect(result.name).toBe("Morning run");
+		expect(result.skipped).toEqual([]);
+		expect(result.points).toEqual([
+			{
+				lat: 51.5,
+				lng: -0.14,
+				time: Date.UTC(2024, 0, 1, 8, 0),
+				accuracy: 12,
+				speed: 3.5,
+				status: null,
+			},
+			{
+				lat: 51.501,
+				lng: -0.141,
+				time: Date.UTC(2024, 0, 1, 8, 1),
+				accuracy: null,
+				speed: null,
+				status: null,
+			},
+		]);
+	});
+
+	it("rejects files that aren't XML", async () => {
+		await expect(parseTrackFile(file("bad.gpx", "<gpx"))).rejects.toThrow(
+			"The GPX file is not valid XML"
+		);
+	});
+
+	it("names the track after the file when it has no name", async () => {
+		const result = await parseTrackFile(
+			file(
+				"walk.gpx",
+				'<gpx><wpt lat="1" lon="2"/><wpt lat="100" lon="2"/></gpx>'
+			)
+		);
+
+		expect(result.name).toBe("walk");
+		expect(result.points).toHaveLength(1);
+		expect(result.skipped).toEqual([
+			{
+				feature: null,
+				reason: "1 points with missing or out-of-range coordinates",
+			},
+		]);
+	});
+});
+
+describe("parseTrackFile with GeoJSON", () => {
+	it("prefers Point features over a line in the same file", async () => {
+		const result = await parseTrackFile(
+			file(
+				"track.geojson",
+				collection([
+					feature(
+						{
+							type: "LineString",
+							coordinates: [
+								[0, 0],
+								[1, 1],
+							],
+						},
+						{ name: "Exported" }
+					),
+					feature(
+						{ type: "Point", coordinates: [2, 1] },
+						{ time: "2024-01-01T08:00:00Z", speed: "4" }
+					),
+				])
+			)
+		);
+
+		expect(result.name).toBe("Exported");
+		expect(result.points).toEqual([
+			{
+				lat: 1,
+				lng: 2,
+				time: Date.UTC(2024, 0, 1, 8, 0),
+				accuracy: null,
+				speed: 4,
+				status: null,
+			},
+		]);
+	});
+
+	it("reads per-vertex times from coordTimes", async () => {
+		const result = await parseTrackFile(
+			file(
+				"line.json",
+				feature(
+					{
+						type: "MultiLineString",
+						coordinates: [
+							[
+								[0, 0],
+								[0, 1],
+							],
+							[[0, 2]],
+						],
+					},
+					{
+						coordTimes: [
+							["2024-01-01T08:00:00Z", "2024-01-01T08:01:00Z"],
+							["2024-01-01T08:02:00Z"],
+						],
+					}
+				)
+			)
+		);
+
+		expect(result.points.map((point) => [point.lat, point.time])).toEqual([
+			[0, Date.UTC(2024, 0, 1, 8, 0)],
+			[1, Date.UTC(2024, 0, 1, 8, 1)],
+			[2, Date.UTC(2024, 0, 1, 8, 2)],
+		]);
+	});
+
+	it("skips and reports features with missing or malformed geometry", async () => {
+		const noCoordinates = feature({ type: "Point" });
+		const result = await parseTrackFile(
+			file(
+				"mixed.geojson",
+				collection([
+					noCoordinates,
+					null,
+					feature({ type: "Point", coordinates: [1, 2] }),
+				])
+			)
+		);
+
+		expect(result.points).toHaveLength(1);
+		expect(result.skipped).toEqual([
+			{ feature: noCoordinates, reason: "Point without valid coordinates" },
+			{ feature: null, reason: "missing geometry" },
+		]);
+	});
+
+	it("fails with the reasons when nothing usable is left", async () => {
+		await expect(
+			parseTrackFile(
+				file(
+					"broken.geojson",
+					feature({ type: "LineString", coordinates: [[1]] })
+				)
+			)
+		).rejects.toThrow(
+			"No valid points were found in the file (LineString without valid coordinates)"
+		);
+	});
+
+	it("rejects files that aren't JSON", async () => {
+		await expect(parseTrackFile(file("bad.json", "{"))).rejects.toThrow(
+			"The GeoJSON file is not valid JSON"
+		);
+	});
+});
+
+describe("fillMissingTimes", () => {
+	it("spaces untimed points out in file order, ending at the given time", () => {
+		const end = Date.UTC(2024, 0, 1, 12, 0);
+		const timed = { lat: 0, lng: 0, time: end - 60000 };
+		const points = fillMissingTimes(
+			[{ lat: 1, lng: 0, time: null }, timed, { lat: 2, lng: 0, time: null }],
+			end
+		);
+
+		expect(points.map((point) => point.time)).toEqual([
+			end - 2 * UNTIMED_POINT_SPACING,
+			end - 60000,
+			end,
+		]);
+		expect(points[1]).toBe(timed);
+	});
+});
@@ -0,0 +1,75 @@
+// Built-in base maps, used when no layers are configured. Public tile
+// servers don't allow bulk downloads, so none of them can be pre-cached.
+export const DEFAULT_TILE_LAYERS = [
+	{
+		id: "osm",
+		name: "OpenStreetMap",
+		url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+		attribution:
+			'&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+		maxZoom: 19,
+		cacheable: false,
+	},
+	{
+		id: "topo",
+		name: "Topographic",
+		url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+		attribution:
+			'Map data &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)',
+		maxZoom: 17,
+		cacheable: false,
+	},
+	{
+		id: "satellite",
+		name: "Satellite",
+		url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+		attribution:
+			"Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics and the GIS User Community",
+		maxZoom: 19,
+		cacheable: false,
+	},
+];
+
+// Tile servers whose usage policy rules out traffic from production
+const BLOCKED_PRODUCTION_HOSTS = ["tile.openstreetmap.org"];
+
+export const isAllowedLayer = (
+	layer,
+	production = process.env.NODE_ENV === "production"
+) =>
+	!production ||
+	!BLOCKED_PRODUCTION_HOSTS.some((host) => layer.url.includes(host));
+
+// Fill in defaults for configured layers and drop invalid or blocked ones.
+// Configured layers are usually self-hosted, so they can be cached unless
+// they set cacheable: false. Returns { layers, skipped: [{ layer, reason }] }.
+export const normalizeLayers = (config) => {
+	if (!Array.isArray(config)) {
+		return {
+			layers: [],
+			skipped: [{ layer: config, reason: "config is not an array" }],
+		};
+	}
+
+	const layers = [];
+	const skipped = [];
+	config.forEach((layer, index) => {
+		if (!layer || typeof layer.url !== "string") {
+			skipped.push({ layer, reason: "missing url" });
+		} else if (!isAllowedLayer(layer)) {
+			skipped.push({ layer, reason: "not allowed in production" });
+		} else {
+			layers.push({
+				id: layer.id || `layer-${index}`,
+				name: layer.name || layer.id || `Layer ${index + 1}`,
+				url: layer.url,
+				attribution: layer.attribution || "",
+				subdomains: layer.subdomains || "abc",
+				minZoom: layer.minZoom ?? 0,
+				maxZoom: layer.maxZoom ?? 19,
+				cacheable: layer.cacheable !== false,
+			});
+		}
+	});
+	return { layers, skipped };
+};
@@ -0,0 +1,55 @@
+// Paths the app understands, relative to PUBLIC_URL:
+//   /                            full app
+//   /trackers/:trackerId         tracker selected, ?from=&to= load its history
+//   /embed                       read-only map of public trackers
+//   /embed/trackers/:trackerId   read-only map of one public tracker
+
+const BASE_PATH = new URL(
+	process.env.PUBLIC_URL || "/",
+	window.location.origin
+).pathname.replace(/\/$/, "");
+
+const parseDate = (value) => {
+	if (!value) return null;
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// { view: "app" | "embed", trackerId, range: { from, to } | null }
+export const parseRoute = (pathname, search = "") => {
+	const path = pathname.startsWith(BASE_PATH)
+		? pathname.slice(BASE_PATH.length)
+		: pathname;
+	const segments = path.split("/").filter(Boolean).map(decodeURIComponent);
+	const view = segments[0] === "embed" ? "embed" : "app";
+	const rest = view === "embed" ? segments.slice(1) : segments;
+	const trackerId = rest[0] === "trackers" && rest[1] ? rest[1] : null;
+
+	const params = new URLSearchParams(search);
+	const from = parseDate(params.get("from"));
+	const to = parseDate(params.get("to"));
+
+	return {
+		view,
+		trackerId,
+		range: trackerId && from && to && from < to ? { from, to } : null,
+	};
+};
+
+// Path and query for a route, including PUBLIC_URL
+export const buildPath = ({ view = "app", trackerId = null, range = null }) => {
+	let path = view === "embed" ? "/embed" : "";
+	if (trackerId) path += `/trackers/${encodeURIComponent(trackerId)}`;
+	if (trackerId && range) {
+		const params = new URLSearchParams({
+			from: range.from.toISOString(),
+			to: range.to.toISOString(),
+		});
+		path += `?${params}`;
+	}
+	return `${BASE_PATH}${path || "/"}`;
+};
+
+// Absolute link for sharing, e.g. the public "where's my delivery" page
+export const buildLink = (route) =>
+	`${window.location.origin}${buildPath(route)}`;
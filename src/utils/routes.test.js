@@ -0,0 +1,94 @@
+import { parseRoute, buildPath, buildLink } from "./routes";
+
+const range = {
+	from: new Date("2024-01-01T08:00:00.000Z"),
+	to: new Date("2024-01-01T18:00:00.000Z"),
+};
+const query =
+	"?from=2024-01-01T08%3A00%3A00.000Z&to=2024-01-01T18%3A00%3A00.000Z";
+
+describe("parseRoute", () => {
+	it("treats unknown paths as the app with nothing selected", () => {
+		expect(parseRoute("/")).toEqual({
+			view: "app",
+			trackerId: null,
+			range: null,
+		});
+		expect(parseRoute("/settings")).toEqual({
+			view: "app",
+			trackerId: null,
+			range: null,
+		});
+	});
+
+	it("reads a tracker and its history range", () => {
+		expect(parseRoute("/trackers/van%201", query)).toEqual({
+			view: "app",
+			trackerId: "van 1",
+			range,
+		});
+	});
+
+	it("ignores ranges that are incomplete, invalid or backwards", () => {
+		expect(parseRoute("/trackers/van", "?from=2024-01-01").range).toBeNull();
+		expect(parseRoute("/trackers/van", "?from=soon&to=later").range).toBeNull();
+		expect(
+			parseRoute("/trackers/van", "?from=2024-01-02&to=2024-01-01").range
+		).toBeNull();
+	});
+
+	it("ignores a range without a tracker", () => {
+		expect(parseRoute("/", query).range).toBeNull();
+	});
+
+	it("reads the public views", () => {
+		expect(parseRoute("/embed")).toEqual({
+			view: "embed",
+			trackerId: null,
+			range: null,
+		});
+		expect(parseRoute("/embed/trackers/van")).toEqual({
+			view: "embed",
+			trackerId: "van",
+			range: null,
+		});
+	});
+});
+
+describe("buildPath", () => {
+	it("builds app and public paths", () => {
+		expect(buildPath({})).toBe("/");
+		expect(buildPath({ trackerId: "van 1" })).toBe("/trackers/van%201");
+		expect(buildPath({ view: "embed" })).toBe("/embed");
+		expect(buildPath({ view: "embed", trackerId: "van" })).toBe(
+			"/embed/trackers/van"
+		);
+	});
+
+	it("only adds the range for a tracker", () => {
+		expect(buildPath({ trackerId: "van", range })).toBe(
+			`/trackers/van${query}`
+		);
+		expect(buildPath({ range })).toBe("/");
+	});
+
+	it("round-trips through parseRoute", () => {
+		const [pathname, search] = buildPath({ trackerId: "a/b", range }).split(
+			"?"
+		);
+
+		expect(parseRoute(pathname, `?${search}`)).toEqual({
+			view: "app",
+			trackerId: "a/b",
+			range,
+		});
+	});
+});
+
+describe("buildLink", () => {
+	it("prefixes the current origin", () => {
+		expect(buildLink({ view: "embed", trackerId: "van" })).toBe(
+			`${window.location.origin}/embed/trackers/van`
+		);
+	});
+});
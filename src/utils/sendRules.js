@@ -0,0 +1,94 @@
+import { distanceMeters, bearingDegrees } from "./geo";
+
+// Rules deciding which auto-tracking fixes are sent to the server
+export const DEFAULT_SEND_RULES = {
+	minDistance: 10, // meters moved since the last sent fix
+	minInterval: 5, // seconds between sent fixes
+	maxInterval: 120, // seconds after which a fix is sent even without movement
+	headingChange: 30, // degrees of turn that count as movement
+	maxAccuracy: 100, // fixes less accurate than this (meters) are dropped
+	lowBatteryLevel: 20, // battery percentage that enables battery saving
+	batterySaver: true,
+};
+
+// How much the rules are relaxed while the battery is low
+const LOW_BATTERY_FACTORS = {
+	minDistance: 3,
+	minInterval: 4,
+	maxInterval: 3,
+	headingChange: 2,
+};
+
+// Battery is low when it is below the configured level and not charging
+export const isLowBattery = (rules, battery) =>
+	Boolean(
+		rules.batterySaver &&
+			battery &&
+			!battery.charging &&
+			battery.level * 100 <= rules.lowBatteryLevel
+	);
+
+// Rules actually applied, stretched while the battery is low
+export const effectiveSendRules = (rules, battery) => {
+	if (!isLowBattery(rules, battery)) return rules;
+
+	const adapted = { ...rules };
+	Object.entries(LOW_BATTERY_FACTORS).forEach(([key, factor]) => {
+		adapted[key] = rules[key] * factor;
+	});
+	return adapted;
+};
+
+// Smallest angle between two headings, in degrees
+const headingDelta = (a, b) => {
+	const delta = Math.abs(a - b) % 360;
+	return delta > 180 ? 360 - delta : delta;
+};
+
+// Device heading when reported, otherwise the bearing from the previous fix
+export const fixHeading = (fix, previous) => {
+	if (typeof fix.heading === "number" && !Number.isNaN(fix.heading)) {
+		return fix.heading;
+	}
+	if (!previous || distanceMeters(previous, fix) < 1) {
+		return previous?.heading ?? null;
+	}
+	return bearingDegrees(previous, fix);
+};
+
+// Decide whether to send a fix given the last sent one.
+// Returns { send, reason } so skipped fixes can be explained in the UI.
+export const evaluateFix = (fix, lastSent, rules) => {
+	if (fix.accuracy > rules.maxAccuracy) {
+		return { send: false, reason: "accuracy" };
+	}
+	if (!lastSent) {
+		return { send: true, reason: "first" };
+	}
+
+	const elapsed = (fix.timestamp - lastSent.timestamp) / 1000;
+	if (elapsed < rules.minInterval) {
+		return { send: false, reason: "interval" };
+	}
+	if (elapsed >= rules.maxInterval) {
+		return { send: true, reason: "heartbeat" };
+	}
+	const moved = distanceMeters(lastSent, fix);
+	if (moved >= rules.minDistance) {
+		return { send: true, reason: "distance" };
+	}
+
+	// A turn only counts once the device has actually moved a little,
+	// otherwise GPS jitter while parked looks like constant heading changes
+	const heading = fixHeading(fix, lastSent);
+	if (
+		moved >= rules.minDistance / 2 &&
+		heading !== null &&
+		typeof lastSent.heading === "number" &&
+		headingDelta(heading, lastSent.heading) >= rules.headingChange
+	) {
+		return { send: true, reason: "heading" };
+	}
+
+	return { send: false, reason: "stationary" };
+};
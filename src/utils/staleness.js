@@ -0,0 +1,53 @@
+// Minutes since the last update before a tracker moves to the next level
+export const DEFAULT_THRESHOLDS = {
+	aging: 2,
+	stale: 15,
+	offline: 60,
+};
+
+// How each freshness level is drawn on the map and in the sidebar.
+// markerColor overrides the tracker's own colour when set.
+export const FRESHNESS_STYLES = {
+	fresh: { label: "Live", badgeColor: "#28a745", opacity: 1 },
+	aging: { label: "Aging", badgeColor: "#ffc107", opacity: 0.85 },
+	stale: { label: "Stale", badgeColor: "#fd7e14", opacity: 0.6 },
+	offline: {
+		label: "Offline",
+		badgeColor: "#6c757d",
+		opacity: 0.45,
+		markerColor: "#6c757d",
+	},
+	never: {
+		label: "No data",
+		badgeColor: "#adb5bd",
+		opacity: 0.45,
+		markerColor: "#adb5bd",
+	},
+};
+
+// Freshness level of a tracker based on how long ago it last reported
+export const getFreshness = (
+	tracker,
+	now = Date.now(),
+	thresholds = DEFAULT_THRESHOLDS
+) => {
+	if (!tracker.lastUpdatedAt) return "never";
+
+	const ageMinutes = (now - new Date(tracker.lastUpdatedAt).getTime()) / 60000;
+	if (ageMinutes >= thresholds.offline) return "offline";
+	if (ageMinutes >= thresholds.stale) return "stale";
+	if (ageMinutes >= thresholds.aging) return "aging";
+	return "fresh";
+};
+
+// Short "5 min ago" style description of an update time
+export const formatAge = (timestamp, now = Date.now()) => {
+	if (!timestamp) return "never";
+
+	const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+	if (minutes < 1) return "just now";
+	if (minutes < 60) return `${minutes} min ago`;
+	const hours = Math.floor(minutes / 60);
+	if (hours < 24) return `${hours} h ago`;
+	return `${Math.floor(hours / 24)} d ago`;
+};
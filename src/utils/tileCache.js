@@ -0,0 +1,169 @@
+import L from "leaflet";
+
+// Offline copies of map tiles in the Cache API, keyed by tile URL
+
+export const TILE_CACHE_NAME = "node-tracker-tiles";
+// Upper bound for a single pre-cache run
+export const MAX_PRECACHE_TILES = 5000;
+const PRECACHE_CONCURRENCY = 4;
+
+export const isTileCacheSupported = () =>
+	typeof window !== "undefined" && "caches" in window;
+
+let cachePromise = null;
+
+const openCache = () => {
+	if (!cachePromise) cachePromise = caches.open(TILE_CACHE_NAME);
+	return cachePromise;
+};
+
+// Slippy map tile indices for a point, clamped to the valid range
+const tileX = (lng, zoom) =>
+	Math.min(
+		Math.max(Math.floor(((lng + 180) / 360) * 2 ** zoom), 0),
+		2 ** zoom - 1
+	);
+
+const tileY = (lat, zoom) => {
+	const rad = (lat * Math.PI) / 180;
+	const y = Math.floor(
+		((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) *
+			2 ** zoom
+	);
+	return Math.min(Math.max(y, 0), 2 ** zoom - 1);
+};
+
+const tileRange = (bounds, zoom) => ({
+	minX: tileX(bounds.getWest(), zoom),
+	maxX: tileX(bounds.getEast(), zoom),
+	minY: tileY(bounds.getNorth(), zoom),
+	maxY: tileY(bounds.getSouth(), zoom),
+});
+
+// Number of tiles covering Leaflet LatLngBounds for each zoom in the range
+export const countTiles = (bounds, minZoom, maxZoom) => {
+	let count = 0;
+	for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+		const { minX, maxX, minY, maxY } = tileRange(bounds, zoom);
+		count += (maxX - minX + 1) * (maxY - minY + 1);
+	}
+	return count;
+};
+
+export const listTiles = (bounds, minZoom, maxZoom) => {
+	const tiles = [];
+	for (let z = minZoom; z <= maxZoom; z++) {
+		const { minX, maxX, minY, maxY } = tileRange(bounds, z);
+		for (let x = minX; x <= maxX; x++) {
+			for (let y = minY; y <= maxY; y++) {
+				tiles.push({ x, y, z });
+			}
+		}
+	}
+	return tiles;
+};
+
+// Same URL Leaflet requests for the tile, including its subdomain choice
+export const tileUrl = (layer, { x, y, z }) => {
+	const subdomains = layer.subdomains || "abc";
+	return L.Util.template(layer.url, {
+		s: subdomains[Math.abs(x + y) % subdomains.length],
+		x,
+		y,
+		z,
+		r: "",
+	});
+};
+
+export const tileCache = {
+	// Cached tile image, or null when it hasn't been saved
+	match: async (url) => {
+		if (!isTileCacheSupported()) return null;
+		const response = await (await openCache()).match(url);
+		return response ? response.blob() : null;
+	},
+
+	// Download tiles that aren't cached yet. onProgress(done, total) is called
+	// after each tile; aborting the signal stops the run.
+	// Resolves to { saved, skipped, failed }.
+	precache: async (layer, tiles, { onProgress, signal } = {}) => {
+		const cache = await openCache();
+		const result = { saved: 0, skipped: 0, failed: 0 };
+		let next = 0;
+		let done = 0;
+
+		const worker = async () => {
+			while (next < tiles.length && !signal?.aborted) {
+				const url = tileUrl(layer, tiles[next++]);
+				try {
+					if (await cache.match(url)) {
+						result.skipped += 1;
+					} else {
+						const response = await fetch(url, { mode: "cors", signal });
+						if (!response.ok) throw new Error(`HTTP ${response.status}`);
+						await cache.put(url, response);
+						result.saved += 1;
+					}
+				} catch (err) {
+					if (signal?.aborted) break;
+					result.failed += 1;
+				}
+				done += 1;
+				if (onProgress) onProgress(done, tiles.length);
+			}
+		};
+
+		await Promise.all(
+			Array.from({ length: PRECACHE_CONCURRENCY }, () => worker())
+		);
+		return result;
+	},
+
+	count: async () => {
+		if (!isTileCacheSupported()) return 0;
+		return (await (await openCache()).keys()).length;
+	},
+
+	clear: async () => {
+		cachePromise = null;
+		await caches.delete(TILE_CACHE_NAME);
+	},
+};
+
+// Tile layer that loads tiles from the offline cache when they were saved
+// and from the network otherwise
+export const CachedTileLayer = L.TileLayer.extend({
+	createTile(coords, done) {
+		const tile = document.createElement("img");
+		L.DomEvent.on(
+			tile,
+			"load",
+			L.Util.bind(this._tileOnLoad, this, done, tile)
+		);
+		L.DomEvent.on(
+			tile,
+			"error",
+			L.Util.bind(this._tileOnError, this, done, tile)
+		);
+		tile.alt = "";
+		tile.setAttribute("role", "presentation");
+
+		const url = this.getTileUrl(coords);
+		tileCache
+			.match(url)
+			.then((blob) => {
+				if (!blob) {
+					tile.src = url;
+					return;
+				}
+				const objectUrl = URL.createObjectURL(blob);
+				const revoke = () => URL.revokeObjectURL(objectUrl);
+				L.DomEvent.on(tile, "load error", revoke);
+				tile.src = objectUrl;
+			})
+			.catch(() => {
+				tile.src = url;
+			});
+		return tile;
+	},
+});
@@ -0,0 +1,110 @@
+import { toLatLng, distanceMeters } from "./geo";
+
+export const DEFAULT_FILTERS = {
+	query: "",
+	status: "all",
+	visibility: "all",
+	staleMinutes: "",
+	sortBy: "lastUpdate",
+	groupBy: "none",
+};
+
+export const SORT_OPTIONS = [
+	{ value: "lastUpdate", label: "Last update" },
+	{ value: "name", label: "Name" },
+	{ value: "distance", label: "Distance from me" },
+];
+
+const UNTAGGED = "Untagged";
+
+const displayName = (tracker) => tracker.name || tracker.trackerId;
+
+const lastUpdateTime = (tracker) =>
+	tracker.lastUpdatedAt ? new Date(tracker.lastUpdatedAt).getTime() : 0;
+
+// Apply the text search, status, visibility and staleness filters
+export const filterTrackers = (trackers, filters, now = Date.now()) => {
+	const query = filters.query.trim().toLowerCase();
+	const staleMinutes = Number(filters.staleMinutes);
+	const staleBefore =
+		filters.staleMinutes !== "" && staleMinutes >= 0
+			? now - staleMinutes * 60 * 1000
+			: null;
+
+	return trackers.filter((tracker) => {
+		if (
+			query &&
+			!displayName(tracker).toLowerCase().includes(query) &&
+			!tracker.trackerId.toLowerCase().includes(query)
+		) {
+			return false;
+		}
+		if (filters.status !== "all" && tracker.currentStatus !== filters.status) {
+			return false;
+		}
+		if (
+			filters.visibility !== "all" &&
+			(tracker.visibility || "private") !== filters.visibility
+		) {
+			return false;
+		}
+		// Trackers that never reported count as stale
+		if (staleBefore !== null && lastUpdateTime(tracker) > staleBefore) {
+			return false;
+		}
+		return true;
+	});
+};
+
+// Sort a copy of the list; distance needs an origin and puts unknowns last
+export const sortTrackers = (trackers, sortBy, origin) => {
+	const byName = (a, b) => displayName(a).localeCompare(displayName(b));
+
+	if (sortBy === "name") {
+		return [...trackers].sort(byName);
+	}
+
+	if (sortBy === "distance" && origin) {
+		const distances = new Map(
+			trackers.map((tracker) => {
+				const position = toLatLng(tracker.currentLocation);
+				return [
+					tracker.trackerId,
+					position ? distanceMeters(origin, position) : Infinity,
+				];
+			})
+		);
+		return [...trackers].sort(
+			(a, b) =>
+				distances.get(a.trackerId) - distances.get(b.trackerId) || byName(a, b)
+		);
+	}
+
+	return [...trackers].sort(
+		(a, b) => lastUpdateTime(b) - lastUpdateTime(a) || byName(a, b)
+	);
+};
+
+// Group trackers by tag; a tracker with several tags appears in each group
+export const groupTrackers = (trackers, groupBy) => {
+	if (groupBy !== "tag") {
+		return [{ key: "all", label: null, trackers }];
+	}
+
+	const groups = new Map();
+	trackers.forEach((tracker) => {
+		const tags = tracker.tags?.length > 0 ? tracker.tags : [UNTAGGED];
+		tags.forEach((tag) => {
+			if (!groups.has(tag)) groups.set(tag, []);
+			groups.get(tag).push(tracker);
+		});
+	});
+
+	return [...groups.entries()]
+		.sort(([a], [b]) => {
+			if (a === UNTAGGED) return 1;
+			if (b === UNTAGGED) return -1;
+			return a.localeCompare(b);
+		})
+		.map(([tag, members]) => ({ key: tag, label: tag, trackers: members }));
+};
@@ -0,0 +1,186 @@
+import { distanceMeters } from "./geo";
+import { isInsideGeofence } from "./geofence";
+
+export const DEFAULT_TRIP_OPTIONS = {
+	stopRadius: 50, // meters the device may drift while stopped
+	minStopDuration: 5 * 60 * 1000, // dwell time that turns a pause into a stop
+	stopSpeed: 0.5, // m/s; a slower gap between fixes counts as parked
+	minTripDistance: 200, // shorter movements are treated as GPS drift
+};
+
+// Implied speeds from fixes closer than this are mostly GPS noise
+const MIN_SPEED_INTERVAL = 1000;
+
+// Merge a stop into the list, joining it with an overlapping previous one
+const addStop = (stops, startIndex, endIndex) => {
+	const last = stops[stops.length - 1];
+	if (last && startIndex <= last.endIndex) {
+		last.endIndex = Math.max(last.endIndex, endIndex);
+		return;
+	}
+	stops.push({ startIndex, endIndex });
+};
+
+// Find index ranges where the tracker dwelled in one place, or where a long
+// gap between fixes implies it was parked
+const findStops = (points, options) => {
+	const stops = [];
+	let i = 0;
+
+	while (i < points.length) {
+		let j = i;
+		while (
+			j + 1 < points.length &&
+			distanceMeters(points[i], points[j + 1]) <= options.stopRadius
+		) {
+			j++;
+		}
+
+		if (j > i && points[j].time - points[i].time >= options.minStopDuration) {
+			addStop(stops, i, j);
+			i = j + 1;
+			continue;
+		}
+
+		if (i + 1 < points.length) {
+			const gap = points[i + 1].time - points[i].time;
+			const speed = distanceMeters(points[i], points[i + 1]) / (gap / 1000);
+			if (gap >= options.minStopDuration && speed < options.stopSpeed) {
+				addStop(stops, i, i + 1);
+			}
+		}
+		i++;
+	}
+
+	return stops;
+};
+
+const summarizeTrip = (points, startIndex, endIndex) => {
+	let distance = 0;
+	let maxSpeed = 0;
+
+	for (let k = startIndex + 1; k <= endIndex; k++) {
+		const from = points[k - 1];
+		const to = points[k];
+		const step = distanceMeters(from, to);
+		distance += step;
+
+		if (typeof to.speed === "number") {
+			maxSpeed = Math.max(maxSpeed, to.speed);
+		} else if (to.time - from.time >= MIN_SPEED_INTERVAL) {
+			maxSpeed = Math.max(maxSpeed, step / ((to.time - from.time) / 1000));
+		}
+	}
+
+	const start = points[startIndex];
+	const end = points[endIndex];
+	const duration = end.time - start.time;
+
+	return {
+		id: `${start.time}-${end.time}`,
+		startIndex,
+		endIndex,
+		start,
+		end,
+		startTime: start.time,
+		endTime: end.time,
+		duration,
+		distance,
+		avgSpeed: duration > 0 ? distance / (duration / 1000) : 0,
+		maxSpeed,
+	};
+};
+
+// Split normalized history points into trips and the stops between them.
+// Speeds are in m/s, distances in meters, times and durations in ms.
+export const detectTrips = (points, options = DEFAULT_TRIP_OPTIONS) => {
+	if (points.length < 2) return { trips: [], stops: [] };
+
+	const stopRanges = findStops(points, options);
+
+	// Trips run from the end of one stop to the start of the next
+	const boundaries = [
+		{ endIndex: 0 },
+		...stopRanges,
+		{ startIndex: points.length - 1 },
+	];
+	const trips = [];
+	for (let k = 1; k < boundaries.length; k++) {
+		const startIndex = boundaries[k - 1].endIndex;
+		const endIndex = boundaries[k].startIndex;
+		if (endIndex <= startIndex) continue;
+
+		const trip = summarizeTrip(points, startIndex, endIndex);
+		if (trip.distance >= options.minTripDistance) {
+			trips.push(trip);
+		}
+	}
+
+	const stops = stopRanges.map(({ startIndex, endIndex }) => {
+		const members = points.slice(startIndex, endIndex + 1);
+		return {
+			id: `${points[startIndex].time}`,
+			startIndex,
+			endIndex,
+			startTime: points[startIndex].time,
+			endTime: points[endIndex].time,
+			duration: points[endIndex].time - points[startIndex].time,
+			lat: members.reduce((sum, point) => sum + point.lat, 0) / members.length,
+			lng: members.reduce((sum, point) => sum + point.lng, 0) / members.length,
+		};
+	});
+
+	return { trips, stops };
+};
+
+// Name of the first geofence containing a point, otherwise its coordinates
+export const describePlace = (point, geofences = []) => {
+	const geofence = geofences.find((item) => isInsideGeofence(item, point));
+	if (geofence) return geofence.name;
+	return `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`;
+};
+
+export const formatDistance = (meters) =>
+	meters >= 1000
+		? `${(meters / 1000).toFixed(2)} km`
+		: `${Math.round(meters)} m`;
+
+export const formatDuration = (ms) => {
+	const minutes = Math.round(ms / 60000);
+	if (minutes < 60) return `${minutes} min`;
+	return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+export const formatSpeed = (metersPerSecond) =>
+	`${(metersPerSecond * 3.6).toFixed(1)} km/h`;
+
+const csvCell = (value) => {
+	const text = String(value);
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Trip summary as CSV, one row per trip, for mileage claims and spreadsheets
+export const tripsToCSV = (trips, geofences = []) => {
+	const header = [
+		"Start time",
+		"End time",
+		"Start place",
+		"End place",
+		"Distance (km)",
+		"Duration (min)",
+		"Average speed (km/h)",
+		"Max speed (km/h)",
+	];
+	const rows = trips.map((trip) => [
+		new Date(trip.startTime).toISOString(),
+		new Date(trip.endTime).toISOString(),
+		describePlace(trip.start, geofences),
+		describePlace(trip.end, geofences),
+		(trip.distance / 1000).toFixed(3),
+		(trip.duration / 60000).toFixed(1),
+		(trip.avgSpeed * 3.6).toFixed(1),
+		(trip.maxSpeed * 3.6).toFixed(1),
+	]);
+
+	return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+};
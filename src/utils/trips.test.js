@@ -0,0 +1,163 @@
+import {
+	detectTrips,
+	describePlace,
+	formatDistance,
+	formatDuration,
+	formatSpeed,
+	tripsToCSV,
+} from "./trips";
+import { distanceMeters } from "./geo";
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1, 8, 0);
+
+// One fix per minute; 0.001° of latitude is about 111 m
+const point = (minute, lat, lng = 0, extra = {}) => ({
+	lat,
+	lng,
+	time: START + minute * MINUTE,
+	...extra,
+});
+
+const dwell = (fromMinute, minutes, lat) =>
+	Array.from({ length: minutes + 1 }, (_, k) => point(fromMinute + k, lat));
+
+const drive = (fromMinute, minutes, fromLat, toLat) =>
+	Array.from({ length: minutes }, (_, k) =>
+		point(fromMinute + k + 1, fromLat + ((toLat - fromLat) * (k + 1)) / minutes)
+	);
+
+// Parked 10 min, 5 min north, parked 10 min, 5 min further north
+const dayPoints = [
+	...dwell(0, 10, 0),
+	...drive(10, 5, 0, 0.01),
+	...dwell(16, 10, 0.01),
+	...drive(26, 5, 0.01, 0.02),
+];
+
+describe("detectTrips", () => {
+	it("returns nothing for fewer than two points", () => {
+		expect(detectTrips([])).toEqual({ trips: [], stops: [] });
+		expect(detectTrips([point(0, 0)])).toEqual({ trips: [], stops: [] });
+	});
+
+	it("splits history into stops and the trips between them", () => {
+		const { trips, stops } = detectTrips(dayPoints);
+
+		expect(
+			stops.map(({ startIndex, endIndex }) => [startIndex, endIndex])
+		).toEqual([
+			[0, 10],
+			[15, 26],
+		]);
+		expect(
+			trips.map(({ startIndex, endIndex }) => [startIndex, endIndex])
+		).toEqual([
+			[10, 15],
+			[26, 31],
+		]);
+	});
+
+	it("averages a stop's position and measures how long it lasted", () => {
+		const [first] = detectTrips(dayPoints).stops;
+
+		expect(first.startTime).toBe(START);
+		expect(first.duration).toBe(10 * MINUTE);
+		expect(first.lat).toBe(0);
+		expect(first.lng).toBe(0);
+	});
+
+	it("sums distance and derives duration and speeds for a trip", () => {
+		const [trip] = detectTrips(dayPoints).trips;
+		const expectedDistance = distanceMeters(dayPoints[10], dayPoints[15]);
+
+		expect(trip.distance).toBeCloseTo(expectedDistance, 3);
+		expect(trip.duration).toBe(5 * MINUTE);
+		expect(trip.avgSpeed).toBeCloseTo(expectedDistance / 300, 6);
+		// Every step is the same length, so the top speed is the average
+		expect(trip.maxSpeed).toBeCloseTo(trip.avgSpeed, 6);
+	});
+
+	it("prefers reported speeds over implied ones", () => {
+		const points = [
+			point(0, 0),
+			point(1, 0.005, 0, { speed: 25 }),
+			point(2, 0.01, 0, { speed: 12 }),
+		];
+
+		expect(detectTrips(points).trips[0].maxSpeed).toBe(25);
+	});
+
+	it("ignores implied speeds between fixes less than a second apart", () => {
+		const points = [
+			{ lat: 0, lng: 0, time: START },
+			{ lat: 0.005, lng: 0, time: START + 500 },
+			{ lat: 0.01, lng: 0, time: START + 60500 },
+		];
+		const [trip] = detectTrips(points).trips;
+
+		expect(trip.maxSpeed).toBeCloseTo(
+			distanceMeters(points[1], points[2]) / 60,
+			6
+		);
+	});
+
+	it("treats a long slow gap between fixes as a stop", () => {
+		const points = [
+			...drive(-5, 5, -0.01, 0),
+			// Further than the stop radius, but only ~0.06 m/s over 30 minutes
+			point(30, 0.001),
+			...drive(30, 5, 0.001, 0.01),
+		];
+		const { stops } = detectTrips(points);
+
+		expect(stops).toHaveLength(1);
+		expect(stops[0].duration).toBe(30 * MINUTE);
+	});
+
+	it("drops movements shorter than the minimum trip distance", () => {
+		const points = [
+			...dwell(0, 10, 0),
+			point(11, 0.001),
+			...dwell(12, 10, 0.001),
+		];
+
+		expect(detectTrips(points).trips).toEqual([]);
+	});
+});
+
+describe("formatting", () => {
+	it("formats distances in metres below a kilometre", () => {
+		expect(formatDistance(999.4)).toBe("999 m");
+		expect(formatDistance(1234)).toBe("1.23 km");
+	});
+
+	it("formats durations in minutes and hours", () => {
+		expect(formatDuration(45 * MINUTE)).toBe("45 min");
+		expect(formatDuration(135 * MINUTE)).toBe("2 h 15 min");
+	});
+
+	it("converts m/s to km/h", () => {
+		expect(formatSpeed(10)).toBe("36.0 km/h");
+	});
+});
+
+describe("describePlace", () => {
+	it("falls back to coordinates outside every geofence", () => {
+		expect(describePlace({ lat: 1.234567, lng: 2.345678 })).toBe(
+			"1.23457, 2.34568"
+		);
+	});
+});
+
+describe("tripsToCSV", () => {
+	it("writes one row per trip and quotes cells with commas", () => {
+		const { trips } = detectTrips(dayPoints);
+		const [header, ...rows] = tripsToCSV(trips).split("\n");
+
+		expect(header.split(",")[0]).toBe("Start time");
+		expect(rows).toHaveLength(2);
+		expect(rows[0]).toContain('"0.00000, 0.00000"');
+		expect(rows[0]).toContain(new Date(START + 10 * MINUTE).toISOString());
+	});
+});